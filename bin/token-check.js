@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+// token-check: audits from the command line, on the same checker as the server.
+// Exit codes: 0 when every audit is within the thresholds, 2 when one exceeds
+// them, 1 when an audit could not be run or the arguments are wrong
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { TokenSecurityChecker, checkRegistry, checkerOptions, fingerprintDatabase } = require('../src/checker');
+const { selectChecks, describeCheck } = require('../src/checks');
+const { loadChains, createProvider } = require('../src/chains');
+const { JobQueue } = require('../src/jobs');
+const { SEVERITIES } = require('../src/scoring');
+const { FORMATS, renderReport } = require('../src/report');
+const { VERDICTS, fingerprintContract } = require('../src/fingerprint');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_RISK = 2;
+
+const USAGE = `Usage:
+  token-check audit <address> [options]
+  token-check batch <file> [options]      one address per line, # starts a comment
+  token-check checks                      list the checks, built-in and custom
+  token-check fingerprint <address> --label <label> --verdict <${VERDICTS.join('|')}>
+                                          add a contract to the fingerprint database
+
+Options:
+  -c, --chain <id>          chain from config/chains.json (default: the configured default)
+  -o, --out <file>          also write the JSON results to this file
+  -f, --format <format>     table or json, or for audit also md, html or sarif (default: table)
+      --max-score <n>       exit with 2 when a risk score is above n (default: 50)
+      --fail-on <severity>  exit with 2 when a finding is at least this severe (${SEVERITIES.join(', ')})
+      --checks <list>       run only these check ids or categories, comma separated
+      --skip <list>         leave out these check ids or categories
+      --concurrency <n>     batch only, tokens audited at the same time (default: 2)
+      --timeout <seconds>   batch only, time allowed per token (default: 300)
+      --label <label>       fingerprint only, name of the template or contract
+      --verdict <verdict>   fingerprint only, ${VERDICTS.join(' or ')}
+      --note <text>         fingerprint only, where the label comes from
+  -h, --help                show this help`;
+
+const OPTIONS = {
+    chain: { type: 'string', short: 'c' },
+    out: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f', default: 'table' },
+    'max-score': { type: 'string', default: '50' },
+    'fail-on': { type: 'string' },
+    checks: { type: 'string' },
+    skip: { type: 'string' },
+    concurrency: { type: 'string', default: '2' },
+    timeout: { type: 'string', default: '300' },
+    label: { type: 'string' },
+    verdict: { type: 'string' },
+    note: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+// The checks log their progress; keep stdout for the report so it can be piped
+const stdoutLog = console.log;
+console.log = console.error;
+
+function toStdout(print) {
+    console.log = stdoutLog;
+    try {
+        print();
+    } finally {
+        console.log = console.error;
+    }
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    const { values, positionals } = parsed;
+    const [command, target] = positionals;
+    if (values.help || !command) {
+        toStdout(() => console.log(USAGE));
+        return values.help ? EXIT_OK : EXIT_ERROR;
+    }
+    if (command === 'checks') {
+        toStdout(() => printChecks());
+        return EXIT_OK;
+    }
+
+    const settings = readSettings(values);
+    if (settings.error) {
+        console.error(settings.error);
+        return EXIT_ERROR;
+    }
+
+    switch (command) {
+    case 'audit':
+        return auditCommand(target, settings);
+    case 'batch':
+        return batchCommand(target, settings);
+    case 'fingerprint':
+        return fingerprintCommand(target, values, settings);
+    default:
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+}
+
+function readSettings(values) {
+    const { defaultChain, chains } = loadChains();
+    const chain = chains[values.chain || defaultChain];
+    if (!chain) {
+        return { error: `Unsupported chain, expected one of: ${Object.keys(chains).join(', ')}` };
+    }
+    if (!['table', 'json', ...Object.keys(FORMATS)].includes(values.format)) {
+        return { error: `Format must be one of: table, json, ${Object.keys(FORMATS).join(', ')}` };
+    }
+    if (values['fail-on'] && !SEVERITIES.includes(values['fail-on'])) {
+        return { error: `Severity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    const selection = selectChecks(checkRegistry, { checks: values.checks, skip: values.skip });
+    if (selection.error) {
+        return { error: selection.error };
+    }
+
+    const numbers = {};
+    for (const name of ['max-score', 'concurrency', 'timeout']) {
+        numbers[name] = Number(values[name]);
+        if (!Number.isFinite(numbers[name]) || numbers[name] < 0) {
+            return { error: `--${name} must be a non-negative number` };
+        }
+    }
+
+    return {
+        chain,
+        provider: createProvider(chain),
+        out: values.out,
+        format: values.format,
+        thresholds: { maxScore: numbers['max-score'], failOn: values['fail-on'] },
+        concurrency: Math.max(1, numbers.concurrency),
+        timeoutMs: numbers.timeout * 1000,
+        checks: selection.checks,
+    };
+}
+
+async function auditCommand(tokenAddress, settings) {
+    const { checker, result } = await auditToken(tokenAddress, settings);
+    if (result.error) {
+        console.error(`${tokenAddress}: ${result.error}`);
+        return EXIT_ERROR;
+    }
+
+    if (settings.format === 'json') {
+        toStdout(() => console.log(JSON.stringify(result, null, 2)));
+    } else if (FORMATS[settings.format]) {
+        toStdout(() => console.log(renderReport(result, settings.chain, settings.format)));
+    } else {
+        toStdout(() => checker.formatResults());
+    }
+    if (settings.out) {
+        checker.saveResultsToFile(settings.out);
+    }
+
+    const reasons = exceededThresholds(result, settings.thresholds);
+    for (const reason of reasons) {
+        console.error(`Threshold exceeded: ${reason}`);
+    }
+    return reasons.length > 0 ? EXIT_RISK : EXIT_OK;
+}
+
+async function batchCommand(file, settings) {
+    if (!['table', 'json'].includes(settings.format)) {
+        console.error('Batch format must be table or json');
+        return EXIT_ERROR;
+    }
+    if (!file) {
+        console.error(`A file of addresses is required\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    let addresses;
+    try {
+        addresses = readAddresses(file);
+    } catch (error) {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        return EXIT_ERROR;
+    }
+    if (addresses.length === 0) {
+        console.error(`No addresses in ${file}`);
+        return EXIT_ERROR;
+    }
+
+    const queue = new JobQueue({ concurrency: settings.concurrency, timeoutMs: settings.timeoutMs });
+    const job = queue.create(addresses, async tokenAddress => {
+        const { result } = await auditToken(tokenAddress, settings);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return result;
+    });
+    job.on('entry', entry => console.error(`${entry.item}: ${entry.status}${entry.error ? ` (${entry.error})` : ''}`));
+    await new Promise(resolve => job.once('done', resolve));
+
+    const reports = job.entries.map(entry => ({
+        tokenAddress: entry.item,
+        status: entry.status,
+        error: entry.error,
+        exceeded: entry.result ? exceededThresholds(entry.result, settings.thresholds) : [],
+        result: entry.result,
+    }));
+
+    if (settings.format === 'json') {
+        toStdout(() => console.log(JSON.stringify(reports, null, 2)));
+    } else {
+        toStdout(() => printBatchTable(reports));
+    }
+    if (settings.out) {
+        fs.writeFileSync(settings.out, JSON.stringify(reports, null, 2), 'utf8');
+        console.error(`\nResults saved to ${settings.out}`);
+    }
+
+    // A known risk outranks an audit that could not be run
+    if (reports.some(report => report.exceeded.length > 0)) {
+        return EXIT_RISK;
+    }
+    return reports.some(report => report.status !== 'done') ? EXIT_ERROR : EXIT_OK;
+}
+
+async function fingerprintCommand(address, values, settings) {
+    if (!address || !ethers.utils.isAddress(address)) {
+        console.error(`A contract address is required\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    if (!values.label || !VERDICTS.includes(values.verdict)) {
+        console.error(`--label and --verdict (${VERDICTS.join(' or ')}) are required`);
+        return EXIT_ERROR;
+    }
+
+    const { codeAddress, fingerprint, error } = await fingerprintContract(settings.provider, address);
+    if (error) {
+        console.error(`${address}: ${error}`);
+        return EXIT_ERROR;
+    }
+    const entry = fingerprintDatabase().add(settings.chain.id, address, {
+        label: values.label,
+        verdict: values.verdict,
+        note: values.note,
+    }, fingerprint);
+
+    toStdout(() => console.log(`Added ${entry.address} on ${entry.chain} as "${entry.label}" (${entry.verdict})${codeAddress !== address ? `, implementation ${codeAddress}` : ''}`));
+    return EXIT_OK;
+}
+
+// The same checks the server makes before auditing
+async function auditToken(tokenAddress, settings) {
+    if (!tokenAddress) {
+        return { result: { error: 'Token address is required' } };
+    }
+    if (!ethers.utils.isAddress(tokenAddress)) {
+        return { result: { error: 'Invalid token address' } };
+    }
+    if (await settings.provider.getCode(tokenAddress) === '0x') {
+        return { result: { error: 'Invalid address is not a contract' } };
+    }
+
+    const checker = new TokenSecurityChecker(settings.chain, { ...checkerOptions(settings.provider), checks: settings.checks });
+    return { checker, result: await checker.checkToken(tokenAddress) };
+}
+
+function readAddresses(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean);
+}
+
+function exceededThresholds(result, thresholds) {
+    const reasons = [];
+    if (result.risk.score > thresholds.maxScore) {
+        reasons.push(`risk score ${result.risk.score} is above ${thresholds.maxScore}`);
+    }
+    if (thresholds.failOn) {
+        const worst = SEVERITIES.indexOf(thresholds.failOn);
+        const severe = result.findings.filter(finding => SEVERITIES.indexOf(finding.severity) <= worst);
+        if (severe.length > 0) {
+            reasons.push(`${severe.length} finding(s) at ${thresholds.failOn} or above: ${severe.map(finding => finding.id).join(', ')}`);
+        }
+    }
+    return reasons;
+}
+
+function printBatchTable(reports) {
+    console.log('\n=== BATCH RESULTS ===');
+    for (const report of reports) {
+        if (report.status !== 'done') {
+            console.log(`${report.tokenAddress}  ${report.status.toUpperCase()}  ${report.error}`);
+            continue;
+        }
+        const { name, symbol, risk } = report.result;
+        const verdict = report.exceeded.length > 0 ? `FAIL (${report.exceeded.join('; ')})` : 'PASS';
+        console.log(`${report.tokenAddress}  ${name} (${symbol})  ${risk.score}/100 grade ${risk.grade}  ${verdict}`);
+    }
+}
+
+function printChecks() {
+    for (const check of checkRegistry.map(describeCheck)) {
+        const severity = check.severity ? `, ${check.severity}` : '';
+        console.log(`${check.id}  (${check.category}${severity}) needs ${check.needs.join(', ')}`);
+    }
+}
+
+// Timed out audits keep running in the background, so exit explicitly
+main(process.argv.slice(2)).then(
+    code => process.stdout.write('', () => process.exit(code)),
+    error => {
+        console.error(error);
+        process.exit(EXIT_ERROR);
+    }
+);
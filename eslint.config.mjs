@@ -5,6 +5,6 @@ import pluginJs from "@eslint/js";
 /** @type {import('eslint').Linter.Config[]} */
 export default [
   {files: ["**/*.js"], languageOptions: {sourceType: "commonjs"}},
-  {languageOptions: { globals: globals.browser }},
+  {languageOptions: { globals: { ...globals.browser, ...globals.node } }},
   pluginJs.configs.recommended,
 ];
\ No newline at end of file
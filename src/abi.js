@@ -0,0 +1,70 @@
+// The verified ABI: what the contract really exposes, and who may call it
+const { ethers } = require('ethers');
+const { ADMIN_NAME_PATTERN } = require('./roles');
+
+const ABI_TYPES = ['function', 'event', 'error'];
+
+// Verified fragments win; the fallback only fills in what the verified ABI lacks
+function mergeAbi(verified, fallback) {
+    const fragments = new Map();
+    for (const abi of [toFragments(verified || []), toFragments(fallback)]) {
+        for (const fragment of abi) {
+            const key = `${fragment.type}:${fragment.format('sighash')}`;
+            if (!fragments.has(key)) {
+                fragments.set(key, fragment);
+            }
+        }
+    }
+    return [...fragments.values()];
+}
+
+// Constructors, fallbacks and receive functions are not callable by name
+function toFragments(abi) {
+    const entries = abi.filter(entry => typeof entry === 'string' || ABI_TYPES.includes(entry.type || 'function'));
+    return new ethers.utils.Interface(entries).fragments;
+}
+
+// Every external function, sorted into view, owner-only or permissionless.
+// Owner-only needs the source; without it a state-changing function is unknown
+function classifyFunctions(abi, sourceAnalyzer) {
+    const order = ['owner-only', 'permissionless', 'unknown', 'view'];
+
+    return toFragments(abi)
+        .filter(fragment => fragment.type === 'function')
+        .map(fragment => {
+            let access = 'unknown';
+            if (fragment.constant) {
+                access = 'view';
+            } else if (sourceAnalyzer) {
+                access = sourceAnalyzer.isOwnerOnly(fragment.name) ? 'owner-only' : 'permissionless';
+            }
+            return {
+                name: fragment.name,
+                signature: fragment.format('sighash'),
+                selector: ethers.utils.Interface.getSighash(fragment),
+                payable: fragment.payable,
+                access,
+            };
+        })
+        .sort((a, b) => order.indexOf(a.access) - order.indexOf(b.access) || a.name.localeCompare(b.name));
+}
+
+// Argument-less views returning an address under an admin-style name
+function findAdminGetters(abi) {
+    return toFragments(abi)
+        .filter(fragment =>
+            fragment.type === 'function' &&
+            fragment.constant &&
+            fragment.inputs.length === 0 &&
+            fragment.outputs.length === 1 &&
+            fragment.outputs[0].type === 'address' &&
+            ADMIN_NAME_PATTERN.test(fragment.name)
+        )
+        .map(fragment => fragment.name);
+}
+
+module.exports = {
+    mergeAbi,
+    classifyFunctions,
+    findAdminGetters,
+};
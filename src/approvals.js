@@ -0,0 +1,233 @@
+// A wallet's outstanding token approvals: rebuilt from its Approval logs,
+// confirmed with allowance() at one block, each token audited and each spender
+// classified, then ranked into a revoke list with the calldata to revoke
+const { ethers } = require('ethers');
+const { fetchLogs } = require('./logs');
+const { withDefaults } = require('./utils');
+
+const APPROVAL_TOPIC = ethers.utils.id('Approval(address,address,uint256)');
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+];
+const TOKEN = new ethers.utils.Interface(ERC20_ABI);
+
+// Allowances this large are treated as unlimited when the supply is unknown
+const UNLIMITED_ALLOWANCE = ethers.BigNumber.from(2).pow(96).sub(1);
+
+// Revoke priority added per kind of spender: an EOA can move the tokens at
+// will, an unverified contract cannot be checked for what it does with them
+const SPENDER_PRIORITY = {
+    'eoa': 40,
+    'unverified-contract': 30,
+    'contract': 10,
+    'router': 0,
+};
+
+// Findings at these severities are named as a reason to revoke
+const REASON_SEVERITIES = ['critical', 'high'];
+
+const DEFAULT_OPTIONS = {
+    // First block searched for Approval logs; by default the last lookbackBlocks
+    fromBlock: undefined,
+    lookbackBlocks: 200000,
+    // Tokens without a recent stored audit audited per scan, the most recently approved first
+    maxAudits: 10,
+};
+
+// deps: { cachedAudit(tokenAddress) -> result or null, audit(tokenAddresses) ->
+// [{ result } or { error }], isVerified(address) -> bool }, the server's stored
+// audits, its audit pool and the chain's explorer and Sourcify
+async function scanApprovals(provider, chain, ownerAddress, deps, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const owner = ethers.utils.getAddress(ownerAddress);
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = settings.fromBlock !== undefined ? settings.fromBlock : Math.max(0, toBlock - settings.lookbackBlocks + 1);
+
+    const logs = await fetchLogs(provider, {
+        topics: [APPROVAL_TOPIC, ethers.utils.hexZeroPad(owner, 32)],
+    }, fromBlock, toBlock, settings);
+
+    // The last Approval per token and spender; ERC-721 approvals index a fourth topic
+    const latest = new Map();
+    for (const log of logs) {
+        if (log.topics.length !== 3) {
+            continue;
+        }
+        const token = ethers.utils.getAddress(log.address);
+        const spender = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+        latest.set(`${token}:${spender}`, { token, spender, blockNumber: log.blockNumber, txHash: log.transactionHash });
+    }
+
+    const outstanding = (await Promise.all([...latest.values()].map(approval => readAllowance(provider, owner, approval))))
+        .filter(Boolean);
+
+    const tokens = await describeTokens(provider, owner, outstanding.map(approval => approval.token));
+    const spenders = await classifySpenders(provider, chain, outstanding.map(approval => approval.spender), deps);
+    const audits = await auditTokens(outstanding, deps, settings.maxAudits);
+
+    const approvals = outstanding.map(approval => rank({
+        ...approval,
+        token: tokens.get(approval.token),
+        spender: spenders.get(approval.spender),
+        audit: audits.get(approval.token),
+    }));
+    approvals.sort((a, b) => b.priority - a.priority);
+
+    return { owner, blockNumber: toBlock, fromBlock, approvals };
+}
+
+// Approvals later spent or set back to zero drop out here
+async function readAllowance(provider, owner, approval) {
+    try {
+        const contract = new ethers.Contract(approval.token, ERC20_ABI, provider);
+        const allowance = await contract.allowance(owner, approval.spender);
+        return allowance.isZero() ? null : { ...approval, allowance };
+    } catch (error) {
+        console.error(`Error reading allowance on ${approval.token}:`, error.message);
+        return null;
+    }
+}
+
+async function describeTokens(provider, owner, addresses) {
+    const tokens = new Map();
+    await Promise.all([...new Set(addresses)].map(async address => {
+        const contract = new ethers.Contract(address, ERC20_ABI, provider);
+        const [symbol, decimals, totalSupply, balance] = await Promise.all([
+            contract.symbol().catch(() => 'Unknown'),
+            contract.decimals().catch(() => 18),
+            contract.totalSupply().catch(() => null),
+            contract.balanceOf(owner).catch(() => null),
+        ]);
+        tokens.set(address, { address, symbol, decimals: Number(decimals), totalSupply, balance });
+    }));
+    return tokens;
+}
+
+// A router configured for the chain, an EOA, or a contract verified or not
+async function classifySpenders(provider, chain, addresses, deps) {
+    const routers = new Map((chain.dex.routers || []).map(router => [router.address.toLowerCase(), router.name]));
+    const spenders = new Map();
+    await Promise.all([...new Set(addresses)].map(async address => {
+        if (routers.has(address.toLowerCase())) {
+            spenders.set(address, { address, kind: 'router', name: routers.get(address.toLowerCase()) });
+            return;
+        }
+        if (await provider.getCode(address) === '0x') {
+            spenders.set(address, { address, kind: 'eoa' });
+            return;
+        }
+        const verified = await deps.isVerified(address).catch(() => false);
+        spenders.set(address, { address, kind: verified ? 'contract' : 'unverified-contract' });
+    }));
+    return spenders;
+}
+
+// Stored audits where there are recent ones, fresh audits for at most
+// maxAudits of the other tokens; the rest are left unaudited
+async function auditTokens(outstanding, deps, maxAudits) {
+    const audits = new Map();
+    const missing = [];
+    const latestFirst = [...outstanding].sort((a, b) => b.blockNumber - a.blockNumber);
+    for (const token of new Set(latestFirst.map(approval => approval.token))) {
+        const cached = deps.cachedAudit(token);
+        if (cached) {
+            audits.set(token, auditSummary({ result: cached }));
+        } else {
+            missing.push(token);
+        }
+    }
+
+    const audited = missing.slice(0, maxAudits);
+    const results = audited.length > 0 ? await deps.audit(audited) : [];
+    audited.forEach((token, index) => audits.set(token, auditSummary(results[index])));
+    for (const token of missing.slice(maxAudits)) {
+        audits.set(token, { error: `Not audited, a scan audits at most ${maxAudits} tokens without a recent audit` });
+    }
+    return audits;
+}
+
+function auditSummary(audit) {
+    const result = audit.result || {};
+    if (audit.error || result.error) {
+        return { error: audit.error || result.error };
+    }
+    return {
+        id: result.audit ? result.audit.id : null,
+        cached: result.audit ? result.audit.cached : false,
+        score: result.risk.score,
+        grade: result.risk.grade,
+        findings: result.findings
+            .filter(finding => REASON_SEVERITIES.includes(finding.severity))
+            .map(finding => finding.id),
+    };
+}
+
+// Priority from the token's risk score, the kind of spender and how much of
+// the wallet's balance the allowance reaches, with the reasons behind it
+function rank(approval) {
+    const { token, spender, audit, allowance } = approval;
+    const reasons = [];
+
+    const unlimited = allowance.gte(token.totalSupply && !token.totalSupply.isZero() ? token.totalSupply : UNLIMITED_ALLOWANCE);
+    const atRisk = token.balance ? (allowance.lt(token.balance) ? allowance : token.balance) : null;
+
+    let priority = SPENDER_PRIORITY[spender.kind];
+    if (spender.kind === 'eoa') {
+        reasons.push('spender is an externally owned account');
+    } else if (spender.kind === 'unverified-contract') {
+        reasons.push('spender is an unverified contract');
+    }
+
+    if (audit.error) {
+        // A token that cannot be audited is ranked as a middling risk
+        priority += 25;
+        reasons.push(`token could not be audited: ${audit.error}`);
+    } else {
+        priority += Math.round(audit.score / 2);
+        if (audit.findings.length > 0) {
+            reasons.push(`token has ${audit.findings.join(', ')}`);
+        }
+    }
+
+    if (unlimited) {
+        priority += 15;
+        reasons.push('unlimited allowance');
+    }
+    if (atRisk && !atRisk.isZero()) {
+        priority += 10;
+        reasons.push(`${ethers.utils.formatUnits(atRisk, token.decimals)} ${token.symbol} can be taken now`);
+    }
+
+    return {
+        token: {
+            address: token.address,
+            symbol: token.symbol,
+            decimals: token.decimals,
+            balance: token.balance ? token.balance.toString() : null,
+        },
+        spender,
+        allowance: allowance.toString(),
+        unlimited,
+        atRisk: atRisk ? atRisk.toString() : null,
+        approvedAt: { blockNumber: approval.blockNumber, txHash: approval.txHash },
+        audit,
+        priority,
+        reasons,
+        // Ready to sign from the wallet
+        revoke: {
+            to: token.address,
+            data: TOKEN.encodeFunctionData('approve', [spender.address, 0]),
+            value: '0',
+        },
+    };
+}
+
+module.exports = {
+    scanApprovals,
+};
@@ -0,0 +1,359 @@
+// Token behaviour that breaks standard ERC-20 accounting: fee-on-transfer,
+// rebasing, ERC-777/ERC-1363 hooks, EIP-2612 permit, transfer and approve
+// return values and approval race guards. Interfaces are read at the audit's
+// block; everything that needs a balance or a signature runs on the tokens
+// bought by the trade simulation
+const { ethers } = require('ethers');
+const { tryTransaction } = require('./fork');
+const { withDefaults } = require('./utils');
+
+// transfer, transferFrom and approve are declared without a return value, so
+// tokens that return nothing are not mistaken for reverts; rawCall reads it instead
+const TOKEN_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function name() view returns (string)',
+    'function balanceOf(address) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function transfer(address to, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function nonces(address owner) view returns (uint256)',
+    'function version() view returns (string)',
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+];
+
+// Same address on every chain it is deployed to
+const ERC1820_REGISTRY = '0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24';
+const ERC1820_ABI = [
+    'function getInterfaceImplementer(address account, bytes32 interfaceHash) view returns (address)',
+];
+
+const ERC165_ID = '0x01ffc9a7';
+const ERC1363_ID = '0xb0202a11';
+const PERMIT_SELECTOR = '0xd505accf';
+// DAI's permit(holder, spender, nonce, expiry, allowed, v, r, s)
+const DAI_PERMIT_SELECTOR = '0x8fcbaf0c';
+// Share-based tokens lose a wei or two to rounding on every transfer
+const ROUNDING_WEI = 2;
+// Versions tried when the token has no version() getter
+const PERMIT_VERSIONS = ['1', '2'];
+
+const DEFAULT_OPTIONS = {
+    // How far the fork's clock is moved to catch balances that grow or shrink by themselves
+    rebaseWaitSeconds: 86400,
+};
+
+// simulation is the audit's trade simulation, run with probeBehavior as its
+// probe; options.selectors are the dispatcher's selectors when the bytecode was read
+async function classifyBehavior(provider, tokenAddress, simulation, options = {}) {
+    const [hooks, permit] = await Promise.all([
+        readHooks(provider, tokenAddress, options.selectors),
+        readPermit(provider, tokenAddress, options.selectors),
+    ]);
+    const probes = simulation.probe || {
+        status: 'unknown',
+        reason: simulation.verdict.reason,
+        permitVerified: null,
+        feeOnTransfer: null,
+        rebasing: null,
+        transferReturn: null,
+        approval: null,
+    };
+    return {
+        status: probes.status,
+        reason: probes.reason,
+        hooks,
+        permit: { ...permit, verified: probes.permitVerified },
+        feeOnTransfer: probes.feeOnTransfer,
+        rebasing: probes.rebasing,
+        transferReturn: probes.transferReturn,
+        approval: probes.approval,
+    };
+}
+
+// The probe the trade simulation runs on the buyer's wallet right after the
+// buy; bought is zero and buyError set when there was nothing to buy
+function probeBehavior(tokenAddress, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    return async (session, holder, bought, buyError) => {
+        const probes = {
+            status: 'unknown',
+            reason: null,
+            // Whether a signed permit set the allowance on the fork
+            permitVerified: null,
+            feeOnTransfer: null,
+            rebasing: null,
+            transferReturn: null,
+            approval: null,
+        };
+        try {
+            await runProbes(session, tokenAddress, holder, { amount: bought, error: buyError }, settings, probes);
+        } catch (error) {
+            console.error('Error classifying token behavior:', error);
+            probes.reason = `Probe failed: ${error.message}`;
+        }
+        return probes;
+    };
+}
+
+// ERC-777 registers itself in the ERC-1820 registry, ERC-1363 answers to
+// ERC-165; both call into the sender or recipient during a transfer
+async function readHooks(provider, tokenAddress, selectors = []) {
+    const hooks = { erc777: false, erc1363: false, erc165: false };
+
+    const registry = new ethers.Contract(ERC1820_REGISTRY, ERC1820_ABI, provider);
+    if (await provider.getCode(ERC1820_REGISTRY) !== '0x') {
+        const implementer = await registry.getInterfaceImplementer(tokenAddress, ethers.utils.id('ERC777Token'))
+            .catch(() => ethers.constants.AddressZero);
+        hooks.erc777 = implementer.toLowerCase() === tokenAddress.toLowerCase();
+    }
+
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const supports = id => token.supportsInterface(id).catch(() => false);
+    const [erc165, invalid] = await Promise.all([supports(ERC165_ID), supports('0xffffffff')]);
+    hooks.erc165 = erc165 && !invalid;
+    hooks.erc1363 = hooks.erc165
+        ? await supports(ERC1363_ID)
+        // transferAndCall(address,uint256) in the dispatcher
+        : selectors.includes('0x1296ee62');
+    return hooks;
+}
+
+async function readPermit(provider, tokenAddress, selectors = []) {
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const [domainSeparator, nonce] = await Promise.all([
+        token.DOMAIN_SEPARATOR().catch(() => null),
+        token.nonces(ethers.constants.AddressZero).catch(() => null),
+    ]);
+
+    let variant = null;
+    if (selectors.includes(PERMIT_SELECTOR)) {
+        variant = 'eip2612';
+    } else if (selectors.includes(DAI_PERMIT_SELECTOR)) {
+        variant = 'dai';
+    } else if (selectors.length === 0 && domainSeparator && nonce) {
+        // No bytecode to look at; the getters alone suggest EIP-2612
+        variant = 'eip2612';
+    }
+    return {
+        supported: Boolean(domainSeparator && nonce && variant),
+        variant,
+        domainSeparator,
+    };
+}
+
+async function runProbes(session, tokenAddress, holder, bought, settings, behavior) {
+    const spender = await session.createWallet();
+    const receiver = ethers.Wallet.createRandom().address;
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, holder);
+
+    // Neither needs a balance
+    behavior.approval = await probeApproval(session.provider, token, holder, spender);
+    if ((await readPermit(session.provider, tokenAddress, settings.selectors)).variant === 'eip2612') {
+        behavior.permitVerified = await probePermit(session.provider, token, holder, spender);
+    }
+    // A transfer from the spender, who holds none of the token, should revert
+    behavior.transferReturn = {
+        onSuccess: null,
+        onFailure: returnKind(await rawCall(session.provider, spender.address, token, 'transfer', [receiver, 1])),
+    };
+
+    if (bought.error || bought.amount.isZero()) {
+        behavior.reason = `Could not buy the token: ${bought.error || 'buy returned no tokens'}`;
+        return;
+    }
+
+    const amount = bought.amount.gte(10) ? bought.amount.div(10) : bought.amount;
+    behavior.transferReturn.onSuccess = returnKind(await rawCall(session.provider, holder.address, token, 'transfer', [receiver, amount]));
+    behavior.approval.infiniteAllowance = await probeInfiniteAllowance(token, holder, spender);
+
+    const transfer = await measureTransfer(token, holder.address, receiver, amount);
+    if (!transfer) {
+        behavior.reason = 'Wallet-to-wallet transfer reverted';
+        return;
+    }
+    behavior.feeOnTransfer = {
+        detected: transfer.sent.sub(transfer.received).gt(ROUNDING_WEI) || transfer.debited.sub(transfer.sent).gt(ROUNDING_WEI),
+        sent: transfer.sent.toString(),
+        received: transfer.received.toString(),
+        debited: transfer.debited.toString(),
+        feePercent: transfer.sent.sub(transfer.received).mul(10000).div(transfer.sent).toNumber() / 100,
+    };
+
+    // Balances that move by more than their Transfer events during the
+    // transfer, or while nothing happens, are rebased (or reflected) by the token
+    const idle = await measureIdleDrift(session, token, [holder.address, receiver], settings.rebaseWaitSeconds);
+    const eventDrift = [transfer.senderDrift, transfer.receiverDrift].filter(drift => drift.abs().gt(ROUNDING_WEI));
+    behavior.rebasing = {
+        detected: eventDrift.length > 0 || idle.changed.length > 0,
+        balanceChangedWithoutTransfer: eventDrift.length > 0,
+        balanceChangedOverTime: idle.changed.length > 0,
+        waitedSeconds: idle.waitedSeconds,
+    };
+    behavior.status = 'ok';
+}
+
+// What each balance did against what the Transfer events say it should have done
+async function measureTransfer(token, sender, receiver, amount) {
+    const before = await Promise.all([token.balanceOf(sender), token.balanceOf(receiver)]);
+    const result = await tryTransaction(token, 'transfer', [receiver, amount]);
+    if (!result.success) {
+        return null;
+    }
+    const after = await Promise.all([token.balanceOf(sender), token.balanceOf(receiver)]);
+
+    const moved = account => result.receipt.logs
+        .filter(log => log.address.toLowerCase() === token.address.toLowerCase())
+        .map(log => {
+            try {
+                return token.interface.parseLog(log);
+            } catch {
+                return null;
+            }
+        })
+        .filter(event => event && event.name === 'Transfer')
+        .reduce((total, event) => {
+            const into = event.args.to.toLowerCase() === account.toLowerCase() ? event.args.value : 0;
+            const out = event.args.from.toLowerCase() === account.toLowerCase() ? event.args.value : 0;
+            return total.add(into).sub(out);
+        }, ethers.constants.Zero);
+
+    const senderDelta = after[0].sub(before[0]);
+    const receiverDelta = after[1].sub(before[1]);
+    return {
+        sent: amount,
+        received: receiverDelta,
+        debited: senderDelta.mul(-1),
+        senderDrift: senderDelta.sub(moved(sender)),
+        receiverDrift: receiverDelta.sub(moved(receiver)),
+    };
+}
+
+async function measureIdleDrift(session, token, accounts, seconds) {
+    const before = await Promise.all(accounts.map(account => token.balanceOf(account)));
+    let waitedSeconds = 0;
+    try {
+        await session.provider.send('evm_increaseTime', [seconds]);
+        waitedSeconds = seconds;
+    } catch {
+        // Without the cheatcode only a new block is mined
+    }
+    await session.provider.send('evm_mine', []);
+    const after = await Promise.all(accounts.map(account => token.balanceOf(account)));
+    return {
+        waitedSeconds,
+        changed: accounts.filter((account, index) => after[index].sub(before[index]).abs().gt(ROUNDING_WEI)),
+    };
+}
+
+// USDT-style guards refuse to change a non-zero allowance to another non-zero one
+async function probeApproval(provider, token, holder, spender) {
+    const approval = {
+        returnsBool: ['true', 'false'].includes(returnKind(await rawCall(provider, holder.address, token, 'approve', [spender.address, 1]))),
+        raceGuard: null,
+        // Whether a maximum allowance stays at the maximum after transferFrom
+        infiniteAllowance: null,
+    };
+
+    const first = await tryTransaction(token, 'approve', [spender.address, 1]);
+    if (!first.success) {
+        return approval;
+    }
+    const second = await tryTransaction(token, 'approve', [spender.address, 2]);
+    if (second.success) {
+        approval.raceGuard = false;
+    } else {
+        const reset = await tryTransaction(token, 'approve', [spender.address, 0]);
+        const retry = reset.success && await tryTransaction(token, 'approve', [spender.address, 2]);
+        approval.raceGuard = Boolean(retry && retry.success);
+    }
+    return approval;
+}
+
+async function probeInfiniteAllowance(token, holder, spender) {
+    await tryTransaction(token, 'approve', [spender.address, 0]);
+    const approved = await tryTransaction(token, 'approve', [spender.address, ethers.constants.MaxUint256]);
+    if (!approved.success) {
+        return null;
+    }
+    const spent = await tryTransaction(token.connect(spender), 'transferFrom', [holder.address, spender.address, 1]);
+    if (!spent.success) {
+        return null;
+    }
+    return (await token.allowance(holder.address, spender.address)).eq(ethers.constants.MaxUint256);
+}
+
+// Signs an EIP-2612 permit with the domain the token reports and checks the
+// allowance it sets; null when the domain cannot be reconstructed
+async function probePermit(provider, token, holder, spender) {
+    const [name, ownVersion, domainSeparator, nonce, network] = await Promise.all([
+        token.name().catch(() => null),
+        token.version().catch(() => null),
+        token.DOMAIN_SEPARATOR().catch(() => null),
+        token.nonces(holder.address).catch(() => null),
+        provider.getNetwork(),
+    ]);
+    if (name === null || domainSeparator === null || nonce === null) {
+        return null;
+    }
+
+    const domain = [ownVersion, ...PERMIT_VERSIONS]
+        .filter(version => version !== null)
+        .map(version => ({ name, version, chainId: network.chainId, verifyingContract: token.address }))
+        .find(candidate => ethers.utils._TypedDataEncoder.hashDomain(candidate) === domainSeparator);
+    if (!domain) {
+        return null;
+    }
+
+    const value = 12345;
+    const deadline = ethers.constants.MaxUint256;
+    const signature = ethers.utils.splitSignature(await holder._signTypedData(domain, {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+        ],
+    }, { owner: holder.address, spender: spender.address, value, nonce, deadline }));
+
+    const result = await tryTransaction(
+        token.connect(spender),
+        'permit',
+        [holder.address, spender.address, value, deadline, signature.v, signature.r, signature.s]
+    );
+    return result.success && (await token.allowance(holder.address, spender.address)).eq(value);
+}
+
+// The raw answer of a call, so a missing return value is told apart from false
+async function rawCall(provider, from, token, method, args) {
+    try {
+        return { reverted: false, data: await provider.call({ from, to: token.address, data: token.interface.encodeFunctionData(method, args) }) };
+    } catch {
+        return { reverted: true, data: null };
+    }
+}
+
+function returnKind(call) {
+    if (call.reverted) {
+        return 'revert';
+    }
+    if (call.data === '0x') {
+        return 'none';
+    }
+    if (ethers.utils.hexDataLength(call.data) !== 32) {
+        return 'other';
+    }
+    const value = ethers.BigNumber.from(call.data);
+    if (value.eq(1)) {
+        return 'true';
+    }
+    return value.isZero() ? 'false' : 'other';
+}
+
+module.exports = {
+    classifyBehavior,
+    probeBehavior,
+};
@@ -0,0 +1,181 @@
+// Bytecode analysis for contracts without verified source: function
+// selectors from the dispatcher plus dangerous opcodes and hardcoded addresses
+const SELECTOR_DATABASE = require('../data/selectors.json');
+
+const OPCODES = {
+    STOP: 0x00,
+    EQ: 0x14,
+    GT: 0x11,
+    LT: 0x10,
+    JUMP: 0x56,
+    JUMPDEST: 0x5b,
+    JUMPI: 0x57,
+    PUSH1: 0x60,
+    PUSH4: 0x63,
+    PUSH20: 0x73,
+    PUSH32: 0x7f,
+    DUP1: 0x80,
+    DUP2: 0x81,
+    CALLCODE: 0xf2,
+    RETURN: 0xf3,
+    DELEGATECALL: 0xf4,
+    REVERT: 0xfd,
+    INVALID: 0xfe,
+    SELFDESTRUCT: 0xff,
+};
+
+// Opcodes after which the following bytes are dead until the next JUMPDEST
+const TERMINATING_OPCODES = new Set([
+    OPCODES.STOP,
+    OPCODES.JUMP,
+    OPCODES.RETURN,
+    OPCODES.REVERT,
+    OPCODES.INVALID,
+    OPCODES.SELFDESTRUCT,
+]);
+
+const FLAGGED_OPCODES = ['SELFDESTRUCT', 'DELEGATECALL', 'CALLCODE'];
+
+const MASK_SELECTOR = '0xffffffff';
+const MASK_ADDRESS = '0x' + 'f'.repeat(40);
+
+function analyzeBytecode(code) {
+    if (!code || code === '0x') {
+        return null;
+    }
+
+    const instructions = disassemble(stripMetadata(code));
+    const selectors = extractSelectors(instructions);
+
+    const opcodes = {};
+    for (const name of FLAGGED_OPCODES) {
+        opcodes[name] = instructions.some(instruction => instruction.opcode === OPCODES[name]);
+    }
+
+    return {
+        size: (code.length - 2) / 2,
+        selectors: selectors.map(selector => ({
+            selector,
+            signature: SELECTOR_DATABASE[selector] ? SELECTOR_DATABASE[selector].signature : null,
+            category: SELECTOR_DATABASE[selector] ? SELECTOR_DATABASE[selector].category : null,
+        })),
+        opcodes,
+        hardcodedAddresses: extractHardcodedAddresses(instructions),
+    };
+}
+
+// Solidity appends a CBOR encoded metadata blob whose length sits in the last two bytes
+function stripMetadata(code) {
+    const hex = code.startsWith('0x') ? code.slice(2) : code;
+    if (hex.length < 4) {
+        return hex;
+    }
+
+    const metadataLength = parseInt(hex.slice(-4), 16);
+    const metadataStart = hex.length - 4 - metadataLength * 2;
+    // CBOR maps start with 0xa1..0xa5
+    const firstByte = parseInt(hex.slice(metadataStart, metadataStart + 2), 16);
+    if (metadataStart > 0 && firstByte >= 0xa1 && firstByte <= 0xa5) {
+        return hex.slice(0, metadataStart);
+    }
+    return hex;
+}
+
+// Linear sweep that skips dead regions so constant data is not read as code
+function disassemble(hex) {
+    const instructions = [];
+    let reachable = true;
+
+    for (let pc = 0; pc < hex.length / 2;) {
+        const opcode = parseInt(hex.slice(pc * 2, pc * 2 + 2), 16);
+        const pushSize = opcode >= OPCODES.PUSH1 && opcode <= OPCODES.PUSH32
+            ? opcode - OPCODES.PUSH1 + 1
+            : 0;
+
+        if (opcode === OPCODES.JUMPDEST) {
+            reachable = true;
+        }
+
+        if (reachable) {
+            instructions.push({
+                pc,
+                opcode,
+                push: pushSize > 0 ? '0x' + hex.slice(pc * 2 + 2, pc * 2 + 2 + pushSize * 2) : null,
+            });
+        }
+
+        if (TERMINATING_OPCODES.has(opcode)) {
+            reachable = false;
+        }
+        pc += 1 + pushSize;
+    }
+
+    return instructions;
+}
+
+// Dispatcher entries look like `PUSH4 sel EQ`, `PUSH4 sel DUP2 EQ`, or
+// `PUSH4 sel GT` for the pivots of the binary search in large contracts.
+// Selectors with leading zero bytes are pushed with PUSH1-PUSH3; those only
+// count in the full `DUP1 PUSHn sel EQ PUSH tag JUMPI` shape, small constants
+// are compared all over ordinary code
+function extractSelectors(instructions) {
+    const selectors = new Set();
+
+    instructions.forEach((instruction, index) => {
+        const isPush = instruction.opcode >= OPCODES.PUSH1 && instruction.opcode <= OPCODES.PUSH4;
+        if (!isPush || instruction.push === MASK_SELECTOR) {
+            return;
+        }
+        const next = instructions[index + 1];
+        const afterNext = instructions[index + 2];
+        const swapped = next && next.opcode === OPCODES.DUP2 && afterNext && afterNext.opcode === OPCODES.EQ;
+        const isComparison = next && (
+            next.opcode === OPCODES.EQ ||
+            next.opcode === OPCODES.GT ||
+            next.opcode === OPCODES.LT ||
+            swapped
+        );
+        if (!isComparison) {
+            return;
+        }
+
+        if (instruction.opcode !== OPCODES.PUSH4) {
+            const previous = instructions[index - 1];
+            const comparison = index + (swapped ? 2 : 1);
+            const target = instructions[comparison + 1];
+            const jump = instructions[comparison + 2];
+            const isDispatch = (swapped || (previous && previous.opcode === OPCODES.DUP1))
+                && target && target.opcode >= OPCODES.PUSH1 && target.opcode <= OPCODES.PUSH4
+                && jump && jump.opcode === OPCODES.JUMPI;
+            if (!isDispatch) {
+                return;
+            }
+        }
+        selectors.add('0x' + instruction.push.slice(2).padStart(8, '0'));
+    });
+
+    return [...selectors];
+}
+
+function extractHardcodedAddresses(instructions) {
+    const addresses = new Set();
+
+    for (const instruction of instructions) {
+        if (instruction.opcode === OPCODES.PUSH20 && instruction.push !== MASK_ADDRESS) {
+            addresses.add(instruction.push);
+        }
+    }
+
+    return [...addresses];
+}
+
+function selectorsInCategories(analysis, categories) {
+    return analysis.selectors.filter(entry => categories.includes(entry.category));
+}
+
+module.exports = {
+    analyzeBytecode,
+    selectorsInCategories,
+    stripMetadata,
+    disassemble,
+};
@@ -0,0 +1,100 @@
+// Chain registry: RPC endpoints, explorer API and DEX contracts per chain,
+// read from config/chains.json (or CHAINS_CONFIG) with environment overrides
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'chains.json');
+const DEFAULT_SOURCIFY_URL = 'https://sourcify.dev/server';
+// How long a fallback RPC may stall before the next one is tried
+const RPC_STALL_TIMEOUT = 2000;
+
+function loadChains(configPath = process.env.CHAINS_CONFIG || DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const chains = {};
+
+    for (const [id, chain] of Object.entries(config.chains)) {
+        chains[id] = applyEnvironment({ id, ...chain });
+    }
+
+    const defaultChain = process.env.DEFAULT_CHAIN || config.defaultChain;
+    if (!chains[defaultChain]) {
+        throw new Error(`Default chain "${defaultChain}" is not in ${configPath}`);
+    }
+
+    return { defaultChain, chains };
+}
+
+// PULSECHAIN_TESTNET_RPC_URLS=a,b / _FORK_RPC_URL / _EXPLORER_API_KEY
+function applyEnvironment(chain) {
+    const prefix = chain.id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const env = name => process.env[`${prefix}_${name}`];
+
+    return {
+        ...chain,
+        rpcUrls: env('RPC_URLS') ? env('RPC_URLS').split(',').map(url => url.trim()) : chain.rpcUrls,
+        forkRpcUrl: env('FORK_RPC_URL') || chain.forkRpcUrl || null,
+        explorer: {
+            ...chain.explorer,
+            apiKey: env('EXPLORER_API_KEY') || chain.explorer.apiKey || null,
+        },
+        sourcifyUrl: process.env.SOURCIFY_URL || chain.sourcifyUrl || DEFAULT_SOURCIFY_URL,
+        dex: {
+            routers: [],
+            factories: [],
+            subgraphs: [],
+            quoteTokens: [],
+            lockers: [],
+            pegs: [],
+            ...chain.dex,
+        },
+    };
+}
+
+// Requests made in the same tick go out as one JSON-RPC batch. The network is
+// fixed like StaticJsonRpcProvider's, so calls are not preceded by eth_chainId
+class StaticJsonRpcBatchProvider extends ethers.providers.JsonRpcBatchProvider {
+    detectNetwork() {
+        if (!this.staticNetwork) {
+            // A failed detection is retried on the next call
+            this.staticNetwork = super.detectNetwork().catch(error => {
+                this.staticNetwork = null;
+                throw error;
+            });
+        }
+        return this.staticNetwork;
+    }
+}
+
+// One provider per chain, falling back through the RPC list in order
+function createProvider(chain) {
+    const network = { name: chain.id, chainId: chain.chainId };
+    const providers = chain.rpcUrls.map(url => new StaticJsonRpcBatchProvider(url, network));
+
+    if (providers.length === 1) {
+        return providers[0];
+    }
+    return new ethers.providers.FallbackProvider(
+        providers.map((provider, index) => ({
+            provider,
+            priority: index + 1,
+            stallTimeout: RPC_STALL_TIMEOUT,
+        })),
+        1
+    );
+}
+
+// Summary of the chain that goes into audit results
+function describeChain(chain) {
+    return {
+        id: chain.id,
+        name: chain.name,
+        chainId: chain.chainId,
+    };
+}
+
+module.exports = {
+    loadChains,
+    createProvider,
+    describeChain,
+};
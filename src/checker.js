@@ -0,0 +1,485 @@
+// Token Security Checker: reads what the checks need once, at one block, then
+// runs the selected checks side by side and collects the results, findings
+// and risk score
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { analyzeBytecode } = require('./bytecode');
+const { resolveProxy } = require('./proxy');
+const { SourceAnalyzer } = require('./solidity');
+const { findingForCheck, scoreFindings, sortFindings } = require('./scoring');
+const { createProvider, describeChain } = require('./chains');
+const { createExplorer, Sourcify } = require('./explorer');
+const { findDeploymentBlock } = require('./holders');
+const { simulateTrades } = require('./honeypot');
+const { probeBehavior } = require('./behavior');
+const { readOwner, describePrincipal } = require('./roles');
+const { mergeAbi, classifyFunctions } = require('./abi');
+const { formatCheckResult, formatEvidence, describeLimits, describePermit, describeTemplate } = require('./report');
+const { CHECKS, record } = require('./checks');
+const { loadCustomRules } = require('./rules');
+const { SnapshotProvider } = require('./snapshot');
+const { FingerprintDatabase } = require('./fingerprint');
+
+// A check still running after this long is recorded as timed out
+const DEFAULT_CHECK_TIMEOUT_MS = 120000;
+
+// Common ERC20 ABI, extended with ownership and security-related functions.
+// Only fills in what the verified ABI lacks (or stands in for it when there is none)
+const ERC20_ABI = [
+    // Basic ERC20 functions
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    // Ownership
+    'function owner() view returns (address)',
+    'function getOwner() view returns (address)',
+    'function renounceOwnership() returns ()',
+    'function transferOwnership(address newOwner) returns ()',
+    // Extra functions that might be present
+    'function mint(address to, uint256 amount) returns (bool)',
+    'function burn(uint256 amount) returns (bool)',
+    'function pause() returns (bool)',
+    'function unpause() returns (bool)',
+    'function paused() view returns (bool)',
+    'function addToBlacklist(address account) returns (bool)',
+    'function removeFromBlacklist(address account) returns (bool)',
+    'function isBlacklisted(address account) view returns (bool)',
+    'function addToWhitelist(address account) returns (bool)',
+    'function removeFromWhitelist(address account) returns (bool)',
+    'function isWhitelisted(address account) view returns (bool)',
+    // Events
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+];
+
+class TokenSecurityChecker {
+    constructor(chain, options = {}) {
+        this.chain = chain;
+        this.provider = options.provider || createProvider(chain);
+        this.explorer = createExplorer(chain.explorer, chain.chainId);
+        this.sourcify = chain.sourcifyUrl ? new Sourcify(chain.sourcifyUrl, chain.chainId) : null;
+        this.options = options;
+        // Registry entries to run, every built-in check by default
+        this.checks = options.checks || CHECKS;
+        this.results = {};
+    }
+
+    async checkToken(tokenAddress) {
+        console.log(`Analyzing token: ${tokenAddress}...`);
+
+        try {
+            const context = await this.buildContext(tokenAddress);
+
+            // Store results
+            this.results = {
+                chain: describeChain(this.chain),
+                tokenAddress,
+                blockNumber: context.blockNumber,
+                name: context.name,
+                symbol: context.symbol,
+                decimals: context.decimals,
+                totalSupply: ethers.utils.formatUnits(context.totalSupply, context.decimals),
+                securityChecks: {},
+                checkDetails: {},
+                findings: [],
+            };
+
+            if (context.proxy.isProxy) {
+                this.results.proxy = context.proxy;
+            }
+            if (context.ownerAddress) {
+                this.results.ownerAddress = context.ownerAddress;
+            }
+
+            if (context.verified) {
+                this.results.contract = {
+                    name: context.verified.name,
+                    verifiedBy: context.verified.verifiedBy,
+                    compilerVersion: context.verified.compilerVersion,
+                    optimization: context.verified.optimization,
+                    evmVersion: context.verified.evmVersion,
+                    files: context.verified.sources.map(source => source.path),
+                };
+                if (context.verified.abi) {
+                    this.results.functions = classifyFunctions(context.verified.abi, context.sourceAnalyzer);
+                }
+            }
+            if (context.bytecodeAnalysis) {
+                this.results.bytecodeAnalysis = context.bytecodeAnalysis;
+            }
+
+            // The checks only read the context, so they run side by side; what
+            // they return is merged in registry order, keeping audits comparable
+            const timeoutMs = this.options.checkTimeoutMs || DEFAULT_CHECK_TIMEOUT_MS;
+            const runs = await Promise.all(this.checks.map(check => runCheck(check, context, timeoutMs)));
+            for (const run of runs) {
+                for (const { check, value, details } of run.records) {
+                    this.recordCheck(check, value, details);
+                }
+                Object.assign(this.results, run.data);
+            }
+            this.results.checkRuns = runs.map(({ id, status, durationMs, error }) => ({ id, status, durationMs, ...(error ? { error } : {}) }));
+
+            this.results.findings = sortFindings(this.results.findings);
+            this.results.risk = scoreFindings(this.results.findings, this.options.scoring);
+
+            return this.results;
+        } catch (error) {
+            console.error('Error checking token:', error);
+            return { error: error.message };
+        }
+    }
+
+    // Everything the checks read, fetched once through a provider pinned to
+    // the current block so the audit is one consistent snapshot
+    async buildContext(tokenAddress) {
+        const needs = new Set(this.checks.flatMap(check => check.needs));
+        const blockNumber = await this.provider.getBlockNumber();
+        const provider = new SnapshotProvider(this.provider, blockNumber);
+
+        // Behind a proxy the logic lives in the implementation, the state stays at the proxy
+        const proxy = await resolveProxy(provider, tokenAddress);
+        const codeAddress = proxy.isProxy && proxy.implementation
+            ? proxy.implementation
+            : tokenAddress;
+
+        // Every verified file is analysed; the regex fallbacks see them joined.
+        // Skipped when none of the selected checks reads the source
+        const verified = needs.has('source') ? await this.getVerifiedContract(codeAddress) : null;
+        const tokenContract = new ethers.Contract(tokenAddress, mergeAbi(verified && verified.abi, ERC20_ABI), provider);
+
+        // Made together, the calls share one multicall
+        const [name, symbol, decimals, totalSupply, owner, code, creation] = await Promise.all([
+            tokenContract.name().catch(() => 'Unknown'),
+            tokenContract.symbol().catch(() => 'Unknown'),
+            tokenContract.decimals().catch(() => 18),
+            tokenContract.totalSupply().catch(() => '0'),
+            readOwner(provider, tokenAddress),
+            // Bytecode is available whether or not the source is verified
+            needs.has('bytecode') ? provider.getCode(codeAddress) : null,
+            this.getContractCreation(tokenAddress),
+        ]);
+
+        // Creation block, looked up once and shared by every log scan
+        let deploymentBlock = null;
+        const getDeploymentBlock = () => {
+            if (!deploymentBlock) {
+                deploymentBlock = findDeploymentBlock(provider, tokenAddress, creation && creation.txHash);
+            }
+            return deploymentBlock;
+        };
+
+        // One buy on the fork per audit: the honeypot, taxes and behavior
+        // checks all read the same trade simulation
+        const bytecodeAnalysis = code ? analyzeBytecode(code) : null;
+        let tradeSimulation = null;
+        const getTradeSimulation = () => {
+            if (!tradeSimulation) {
+                const router = this.chain.dex.routers[0];
+                const probe = this.checks.some(check => check.id === 'behavior')
+                    ? probeBehavior(tokenAddress, { selectors: bytecodeAnalysis ? bytecodeAnalysis.selectors.map(entry => entry.selector) : [] })
+                    : null;
+                tradeSimulation = simulateTrades(this.chain.forkRpcUrl, tokenAddress, {
+                    router: router && router.address,
+                    wrappedNative: this.chain.wrappedNative,
+                    buyAmount: this.options.honeypotBuyAmount,
+                    probe,
+                });
+            }
+            return tradeSimulation;
+        };
+
+        return Object.freeze({
+            chain: this.chain,
+            options: this.options,
+            provider,
+            explorer: this.explorer,
+            blockNumber,
+            tokenAddress,
+            name,
+            symbol,
+            decimals: Number(decimals),
+            totalSupply,
+            proxy,
+            verified,
+            sourceCode: verified ? verified.sources.map(source => source.content).join('\n') : '',
+            sourceAnalyzer: verified ? SourceAnalyzer.parse(verified.sources) : null,
+            bytecode: code,
+            bytecodeAnalysis,
+            tokenContract,
+            creation,
+            // Counted with the deployer as an insider by the holder and liquidity checks
+            ownerAddress: owner && owner.address !== ethers.constants.AddressZero ? owner.address : undefined,
+            getDeploymentBlock,
+            getTradeSimulation,
+        });
+    }
+
+    // The chain's explorer first, then Sourcify for contracts only verified there
+    async getVerifiedContract(address) {
+        for (const source of [this.explorer, this.sourcify].filter(Boolean)) {
+            try {
+                const verified = await source.getVerifiedContract(address);
+                if (verified) {
+                    return verified;
+                }
+            } catch (error) {
+                console.error('Error fetching verified contract:', error);
+            }
+        }
+        return null;
+    }
+
+    recordCheck(check, value, details = { basis: 'none', confidence: 'low' }) {
+        this.results.securityChecks[check] = value;
+        this.results.checkDetails[check] = details;
+
+        const finding = findingForCheck(check, value, details);
+        if (finding) {
+            this.addFinding(finding);
+        }
+    }
+
+    addFinding(finding) {
+        this.results.findings.push(finding);
+    }
+
+    async getContractCreation(address) {
+        try {
+            return await this.explorer.getContractCreation(address);
+        } catch (error) {
+            console.error('Error fetching contract creation:', error);
+            return null;
+        }
+    }
+
+    formatResults() {
+        console.log('\n=== TOKEN SECURITY ANALYSIS ===');
+        console.log(`Token: ${this.results.name} (${this.results.symbol})`);
+        console.log(`Address: ${this.results.tokenAddress}`);
+        console.log(`Decimals: ${this.results.decimals}`);
+        console.log(`Total Supply: ${this.results.totalSupply}`);
+        if (this.results.contract) {
+            const contract = this.results.contract;
+            const optimizer = contract.optimization.enabled ? `optimizer on (${contract.optimization.runs} runs)` : 'optimizer off';
+            console.log(`Verified: ${contract.name} via ${contract.verifiedBy}, ${contract.compilerVersion}, ${optimizer}, ${contract.files.length} file(s)`);
+        }
+        if (this.results.functions) {
+            const count = access => this.results.functions.filter(entry => entry.access === access).length;
+            console.log(`Functions: ${count('owner-only')} owner-only, ${count('permissionless')} permissionless, ${count('view')} view${count('unknown') ? `, ${count('unknown')} unknown` : ''}`);
+        }
+        if (this.results.proxy) {
+            const admin = this.results.proxy.admin;
+            console.log(`Proxy: ${this.results.proxy.standard} -> ${this.results.proxy.implementation}`);
+            console.log(`Upgrader: ${admin ? describePrincipal(admin) : 'None'}`);
+        }
+        if (this.results.ownership) {
+            const ownership = this.results.ownership;
+            const owner = !ownership.ownable
+                ? 'none (no Ownable interface)'
+                : ownership.renounced ? 'renounced' : describePrincipal(ownership.principals.find(principal => principal.kind === 'owner'));
+            console.log(`Owner: ${owner}`);
+            for (const principal of ownership.principals.filter(entry => entry.kind !== 'owner')) {
+                console.log(`Privileged: ${principal.source} ${describePrincipal(principal)}`);
+            }
+        }
+        if (this.results.deployer) {
+            const deployer = this.results.deployer;
+            console.log(`Deployer: ${deployer.creator} (${deployer.verdict}, ${deployer.otherTokenCount} other token(s))`);
+        }
+        const unfinished = (this.results.checkRuns || []).filter(run => run.status !== 'ok');
+        if (unfinished.length > 0) {
+            console.log(`Checks not finished: ${unfinished.map(run => `${run.id} (${run.status}: ${run.error})`).join(', ')}`);
+        }
+        if (this.results.risk) {
+            console.log(`Risk Score: ${this.results.risk.score}/100 (grade ${this.results.risk.grade})`);
+        }
+        if (this.results.holders) {
+            const holders = this.results.holders;
+            console.log(`Holders: ${holders.holderCount} (top 10 hold ${holders.top10Share}%, top 50 hold ${holders.top50Share}%, ${holders.burnedShare}% burned)`);
+        }
+        if (this.results.taxes && this.results.taxes.status === 'ok') {
+            const taxes = this.results.taxes;
+            const format = tax => (tax === null ? 'n/a' : `${tax}%`);
+            console.log(`Taxes: buy ${format(taxes.buy)}, sell ${format(taxes.sell)}, transfer ${format(taxes.transfer)}${taxes.ownerCanChange ? ' (owner can change)' : ''}`);
+        }
+        if (this.results.liquidity) {
+            for (const pool of this.results.liquidity.pools) {
+                const depth = pool.depthUsd !== null ? `$${pool.depthUsd}` : 'unknown';
+                const lp = pool.lpHolders
+                    ? `, LP ${pool.lpHolders.burnedShare}% burned, ${pool.lpHolders.lockedShare}% locked, ${pool.lpHolders.deployerShare}% deployer/owner`
+                    : '';
+                console.log(`Pool: ${pool.dex} ${pool.quote.symbol} ${pool.address} (depth ${depth}${lp})`);
+            }
+        }
+        if (this.results.fingerprint && this.results.fingerprint.closest) {
+            console.log(`Closest template: ${describeTemplate(this.results.fingerprint.closest)}`);
+        }
+        if (this.results.limits && this.results.limits.limits.length > 0) {
+            console.log(`Limits: ${describeLimits(this.results.limits)}`);
+        }
+        if (this.results.behavior) {
+            console.log(`Permit: ${describePermit(this.results.behavior.permit)}`);
+        }
+        if (this.results.price && this.results.price.price !== null) {
+            const price = this.results.price;
+            const spread = price.spread !== null ? `, sources ${price.spread}% apart` : '';
+            const peg = price.peg !== null ? `, ${price.deviation}% from ${price.peg} peg` : '';
+            console.log(`Price: ${price.price} ${price.reference.symbol} from ${price.sources.length} source(s)${spread}${peg}`);
+        }
+        console.log('\n=== SECURITY CHECKS ===');
+
+        const icons = { flagged: '❌', clean: '✅', unknown: '❔' };
+        for (const [check, result] of Object.entries(this.results.securityChecks)) {
+            const { label, status, text } = formatCheckResult(check, result);
+            console.log(`${label}: ${icons[status]} ${text}`);
+        }
+
+        if (this.results.findings && this.results.findings.length > 0) {
+            console.log('\n=== FINDINGS ===');
+            for (const finding of this.results.findings) {
+                console.log(`[${finding.severity.toUpperCase()}] ${finding.id} (${finding.confidence} confidence): ${finding.explanation}`);
+                for (const evidence of finding.evidence) {
+                    console.log(`    - ${formatEvidence(evidence)}`);
+                }
+            }
+        }
+    }
+
+    saveResultsToFile(filename) {
+        fs.writeFileSync(
+            filename,
+            JSON.stringify(this.results, null, 2),
+            'utf8'
+        );
+        console.log(`\nResults saved to ${filename}`);
+    }
+}
+
+// One check with its status and duration. A check that throws or times out
+// records the error on its first result; a timed out check keeps running in
+// the background, but as it writes nothing its output is simply dropped
+async function runCheck(check, context, timeoutMs) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new CheckTimeoutError(timeoutMs)), timeoutMs);
+    });
+
+    try {
+        const output = await Promise.race([check.run(context), timeout]);
+        return { id: check.id, status: 'ok', durationMs: Date.now() - started, records: output.records || [], data: output.data || {} };
+    } catch (error) {
+        console.error(`Error running check ${check.id}:`, error);
+        const timedOut = error instanceof CheckTimeoutError;
+        return {
+            id: check.id,
+            status: timedOut ? 'timeout' : 'failed',
+            durationMs: Date.now() - started,
+            error: error.message,
+            records: check.results.slice(0, 1).map(result => {
+                const reason = `Unknown - ${timedOut ? error.message : `Check failed: ${error.message}`}`;
+                return record(result, check.unknown ? check.unknown(reason) : reason);
+            }),
+            data: {},
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+class CheckTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Timed out after ${timeoutMs / 1000}s`);
+        this.name = 'CheckTimeoutError';
+    }
+}
+
+// Optional JSON file overriding the weights in config/scoring.json
+const scoringConfig = process.env.SCORING_CONFIG
+    ? JSON.parse(fs.readFileSync(process.env.SCORING_CONFIG, 'utf8'))
+    : {};
+
+// Built-in checks plus the custom rules in CUSTOM_RULES, a JSON or YAML file
+const checkRegistry = [
+    ...CHECKS,
+    ...(process.env.CUSTOM_RULES ? loadCustomRules(process.env.CUSTOM_RULES) : []),
+];
+
+// Labelled contracts for the fingerprint check, opened on first use and
+// shared by every audit in the process
+let fingerprints = null;
+function fingerprintDatabase() {
+    if (!fingerprints) {
+        fingerprints = new FingerprintDatabase(process.env.FINGERPRINT_DB_PATH || path.join(__dirname, '..', 'fingerprints.sqlite'));
+    }
+    return fingerprints;
+}
+
+// Checker options from the environment, shared by the server and the CLI
+function checkerOptions(provider) {
+    return {
+        provider,
+        checks: checkRegistry,
+        scoring: scoringConfig,
+        checkTimeoutMs: process.env.CHECK_TIMEOUT
+            ? Number(process.env.CHECK_TIMEOUT) * 1000
+            : undefined,
+        holders: {
+            concentrationThreshold: process.env.HOLDER_CONCENTRATION_THRESHOLD
+                ? Number(process.env.HOLDER_CONCENTRATION_THRESHOLD)
+                : undefined,
+            lookbackBlocks: process.env.HOLDER_LOOKBACK_BLOCKS
+                ? Number(process.env.HOLDER_LOOKBACK_BLOCKS)
+                : undefined,
+        },
+        maxTaxPercent: process.env.MAX_TAX_PERCENT
+            ? Number(process.env.MAX_TAX_PERCENT)
+            : undefined,
+        liquidity: {
+            deployerShareThreshold: process.env.LP_DEPLOYER_SHARE_THRESHOLD
+                ? Number(process.env.LP_DEPLOYER_SHARE_THRESHOLD)
+                : undefined,
+        },
+        limits: {
+            minSellLimitPercent: process.env.MIN_SELL_LIMIT_PERCENT
+                ? Number(process.env.MIN_SELL_LIMIT_PERCENT)
+                : undefined,
+        },
+        fingerprint: {
+            // Opened by the fingerprint check itself, audits without it never touch the file
+            get database() {
+                return fingerprintDatabase();
+            },
+            minSimilarity: process.env.FINGERPRINT_MIN_SIMILARITY
+                ? Number(process.env.FINGERPRINT_MIN_SIMILARITY)
+                : undefined,
+        },
+        price: {
+            maxSpreadPercent: process.env.PRICE_SPREAD_THRESHOLD
+                ? Number(process.env.PRICE_SPREAD_THRESHOLD)
+                : undefined,
+            twapSeconds: process.env.PRICE_TWAP_SECONDS
+                ? Number(process.env.PRICE_TWAP_SECONDS)
+                : undefined,
+            minDepthPercent: process.env.PRICE_MIN_DEPTH_PERCENT
+                ? Number(process.env.PRICE_MIN_DEPTH_PERCENT)
+                : undefined,
+        },
+    };
+}
+
+module.exports = {
+    TokenSecurityChecker,
+    checkRegistry,
+    checkerOptions,
+    fingerprintDatabase,
+};
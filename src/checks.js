@@ -0,0 +1,894 @@
+// Check registry: every built-in check, what it reads and the results it
+// records. A check is a function of the audit context, which it only reads;
+// it returns the securityChecks entries it recorded and any data for the results
+const { selectorsInCategories } = require('./bytecode');
+const { analyzeHolders } = require('./holders');
+const { analyzeLiquidity } = require('./liquidity');
+const { priceToken } = require('./price');
+const { classifyBehavior } = require('./behavior');
+const { readLimits, limitKind } = require('./limits');
+const { measureTaxes, readFeeGetters } = require('./tax');
+const { enumeratePrincipals, describePrincipal } = require('./roles');
+const { findAdminGetters } = require('./abi');
+const { findCompilerBugs } = require('./compiler');
+const { analyzeDeployer } = require('./deployer');
+const { fingerprintBytecode } = require('./fingerprint');
+
+// Measured taxes above this percentage are flagged
+const DEFAULT_MAX_TAX_PERCENT = 10;
+// Closest known contract at or above this similarity is taken as a clone of it
+const DEFAULT_MIN_TEMPLATE_SIMILARITY = 0.9;
+// Two-way trading switches, as opposed to a one-way enableTrading()
+const TRADING_SWITCH_SIGNATURES = ['setTradingEnabled(bool)', 'setTrading(bool)'];
+
+// What a check reads: the verified source, the deployed bytecode, plain RPC
+// calls (the fork included), the configured DEX contracts and subgraphs, or
+// the explorer's account history. `results` are the securityChecks entries the
+// check records, each scored by its rule in scoring.js; the first one carries
+// the check's error when it fails or times out, shaped by `unknown` when the
+// result is not a plain value
+const CHECKS = [
+    { id: 'compiler', category: 'code', needs: ['source'], results: ['compilerBugs'], run: checkCompiler },
+    { id: 'ownership', category: 'access', needs: ['rpc', 'source'], results: ['privilegedRoles', 'ownershipRenounced'], run: checkOwnership },
+    { id: 'hiddenOwner', category: 'access', needs: ['source', 'bytecode'], results: ['hiddenOwner'], run: checkHiddenOwner },
+    { id: 'honeypot', category: 'trading', needs: ['rpc', 'dex'], results: ['honeypot'], run: checkHoneypot, unknown: unknownVerdict },
+    { id: 'taxes', category: 'trading', needs: ['rpc', 'dex', 'source', 'bytecode'], results: ['highTax', 'taxModifiable'], run: checkTaxes },
+    { id: 'mintable', category: 'supply', needs: ['source', 'bytecode'], results: ['mintable'], run: checkMintable },
+    { id: 'proxy', category: 'access', needs: ['rpc', 'bytecode'], results: ['proxyContract'], run: checkProxyContract },
+    { id: 'suspiciousFunctions', category: 'access', needs: ['source', 'bytecode'], results: ['hasSuspiciousFunctions'], run: checkSuspiciousFunctions },
+    { id: 'blacklist', category: 'trading', needs: ['source', 'bytecode'], results: ['hasBlacklist'], run: checkBlacklist },
+    { id: 'whitelist', category: 'trading', needs: ['source', 'bytecode'], results: ['hasWhitelist'], run: checkWhitelist },
+    { id: 'cooldown', category: 'trading', needs: ['source', 'bytecode'], results: ['transferCooldown'], run: checkTransferCooldown },
+    { id: 'pausable', category: 'trading', needs: ['rpc', 'source', 'bytecode'], results: ['transferPausable'], run: checkTransferPausable },
+    { id: 'limits', category: 'trading', needs: ['rpc', 'source', 'bytecode'], results: ['sellLimitTooLow', 'tradingSwitchable'], run: checkLimits },
+    { id: 'behavior', category: 'integration', needs: ['rpc', 'dex', 'bytecode'], results: ['feeOnTransfer', 'rebasing', 'transferHooks', 'nonStandardReturns', 'approvalRaceGuard'], run: checkBehavior },
+    { id: 'price', category: 'market', needs: ['rpc', 'dex'], results: ['depegged'], run: checkPrice },
+    { id: 'holders', category: 'supply', needs: ['rpc'], results: ['concentratedHolder'], run: checkHolderDistribution },
+    { id: 'liquidity', category: 'market', needs: ['rpc', 'dex'], results: ['liquidityHeldByDeployer', 'liquidityUnlocked'], run: checkLiquidity },
+    { id: 'deployer', category: 'reputation', needs: ['rpc', 'dex', 'explorer'], results: ['deployerRugHistory', 'deployerExitedLaunch', 'serialDeployer'], run: checkDeployer },
+    { id: 'fingerprint', category: 'reputation', needs: ['bytecode'], results: ['knownScamTemplate'], run: checkFingerprint },
+];
+
+// The registry entries named by `checks` (all of them when absent) minus those
+// named by `skip`. Both take check ids or categories, as a list or comma separated
+function selectChecks(registry, { checks, skip } = {}) {
+    const only = parseList(checks);
+    const skipped = parseList(skip);
+    const named = (check, names) => names.includes(check.id) || names.includes(check.category);
+
+    const unknown = [...only, ...skipped].filter(name => !registry.some(check => named(check, [name])));
+    if (unknown.length > 0) {
+        return { error: `Unknown check(s): ${unknown.join(', ')}` };
+    }
+
+    const selected = registry.filter(check => (only.length === 0 || named(check, only)) && !named(check, skipped));
+    if (selected.length === 0) {
+        return { error: "No checks left to run" };
+    }
+    return { checks: selected };
+}
+
+function parseList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+}
+
+// What GET /checks and `token-check checks` list
+function describeCheck(check) {
+    return {
+        id: check.id,
+        category: check.category,
+        needs: check.needs,
+        results: check.results,
+        ...(check.rule ? { severity: check.rule.severity, explanation: check.rule.explanation } : {}),
+    };
+}
+
+// One securityChecks entry as a check returns it
+function record(check, value, details = { basis: 'none', confidence: 'low' }) {
+    return { check, value, details };
+}
+
+// Findings from the parsed source, each pointing at a contract, function and line
+function sourceRecord(check, findings) {
+    return record(check, findings.length > 0, {
+        basis: 'ast',
+        confidence: 'high',
+        evidence: findings,
+    });
+}
+
+// Without verified source, answer from the dispatcher selectors and
+// opcodes instead, with less confidence than a source match
+function bytecodeRecord(context, check, { categories = [], opcodes = [] }, observed = false) {
+    if (!context.bytecodeAnalysis) {
+        return record(check, observed || "Unknown - Source code not verified");
+    }
+
+    const selectors = selectorsInCategories(context.bytecodeAnalysis, categories);
+    const foundOpcodes = opcodes.filter(name => context.bytecodeAnalysis.opcodes[name]);
+    const detected = observed || selectors.length > 0 || foundOpcodes.length > 0;
+
+    return record(check, detected, {
+        basis: 'bytecode',
+        // A renamed function slips past the selector database, so a miss is weaker than a hit
+        confidence: detected ? 'medium' : 'low',
+        evidence: [
+            ...selectors.map(entry => `${entry.selector} ${entry.signature}`),
+            ...foundOpcodes,
+        ],
+    });
+}
+
+function checkCompiler(context) {
+    if (!context.verified || !context.verified.compilerVersion) {
+        return { records: [record('compilerBugs', "Unknown - Source code not verified")] };
+    }
+
+    const bugs = findCompilerBugs(context.verified.compilerVersion, context.verified.optimization, context.verified.sources);
+    return {
+        records: [record('compilerBugs', bugs.length > 0, {
+            basis: 'metadata',
+            // The bug list says the version is affected, not that this contract triggers it
+            confidence: 'medium',
+            evidence: bugs.map(bug => `${bug.name} (${bug.severity}, fixed in ${bug.fixed}): ${bug.summary}`),
+        })],
+    };
+}
+
+async function checkOwnership(context) {
+    try {
+        // Owner, AccessControl roles since deployment, and admin-style getters
+        const ownership = await enumeratePrincipals(context.provider, context.tokenAddress, {
+            fromBlock: await context.getDeploymentBlock(),
+            getters: [
+                ...(context.sourceAnalyzer ? context.sourceAnalyzer.findAdminGetters() : []),
+                ...(context.verified && context.verified.abi ? findAdminGetters(context.verified.abi) : []),
+            ],
+            roleNames: context.sourceAnalyzer ? context.sourceAnalyzer.findRoleNames() : [],
+        });
+        const records = [];
+
+        // Without owner()/getOwner() there is nothing to renounce, which is not the same as renounced
+        if (ownership.ownable) {
+            records.push(record('ownershipRenounced', ownership.renounced, {
+                basis: 'rpc',
+                confidence: 'high',
+                evidence: ownership.renounced ? [] : [`owner ${ownership.owner}`],
+            }));
+        }
+
+        const others = ownership.principals.filter(principal => principal.kind !== 'owner');
+        records.push(record('privilegedRoles', others.length > 0, {
+            basis: 'logs',
+            confidence: 'high',
+            evidence: others.map(principal => `${principal.source}: ${describePrincipal(principal)}`),
+        }));
+        return { records, data: { ownership } };
+    } catch (error) {
+        console.error('Error enumerating privileged roles:', error);
+        return { records: [record('privilegedRoles', "Unknown - Error enumerating privileged roles")] };
+    }
+}
+
+async function checkHiddenOwner(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'hiddenOwner', { opcodes: ['SELFDESTRUCT', 'DELEGATECALL', 'CALLCODE'] })] };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('hiddenOwner', context.sourceAnalyzer.findHiddenOwner())] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for hidden ownership patterns in the source code
+        const hiddenOwnerPatterns = [
+            /onlyOwner\s*\{\s*if\s*\(msg\.sender\s*!=\s*([^)]+)\)/i,
+            /require\s*\(\s*msg\.sender\s*==\s*([^)]+)\s*,/i,
+            /selfdestruct\s*\(\s*payable\s*\(\s*([^)]+)\s*\)/i,
+            /delegatecall\s*\(/i,
+            /assembly\s*\{/i
+        ];
+
+        // Look for hidden backdoors or suspicious patterns
+        const hasHiddenOwnerPatterns = hiddenOwnerPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('hiddenOwner', hasHiddenOwnerPatterns, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking hidden owner:', error);
+        return { records: [record('hiddenOwner', "Unknown - Error analyzing source code")] };
+    }
+}
+
+async function checkHoneypot(context) {
+    try {
+        // Buy, transfer and sell the token on a fork instead of guessing from source
+        const { verdict } = await context.getTradeSimulation();
+
+        return {
+            records: [record('honeypot', verdict, {
+                basis: 'simulation',
+                confidence: verdict.isHoneypot === null ? 'low' : 'high',
+                evidence: [
+                    ...(verdict.transfer && !verdict.transfer.success ? [`wallet-to-wallet transfer reverted: ${verdict.transfer.revertReason}`] : []),
+                    ...(verdict.sell ? [`sell ${verdict.sell.success ? 'succeeded' : 'reverted'}${verdict.sell.lossPercent !== null ? `, ${verdict.sell.lossPercent}% lost against the quote` : ''}`] : []),
+                ],
+            })],
+        };
+    } catch (error) {
+        console.error('Error checking honeypot:', error);
+        return { records: [record('honeypot', unknownVerdict("Unknown - Error simulating trades"))] };
+    }
+}
+
+function unknownVerdict(reason) {
+    return {
+        status: 'unknown',
+        isHoneypot: null,
+        reason,
+    };
+}
+
+async function checkTaxes(context) {
+    try {
+        const feeGetters = context.sourceAnalyzer ? context.sourceAnalyzer.findFeeGetters() : [];
+        const [measured, getters] = await Promise.all([
+            context.getTradeSimulation().then(simulation => measureTaxes(simulation.verdict)),
+            readFeeGetters(context.provider, context.tokenAddress, feeGetters),
+        ]);
+        const setters = findFeeSetters(context);
+
+        const taxes = {
+            status: measured.status,
+            reason: measured.reason,
+            buy: measured.buyTax,
+            sell: measured.sellTax,
+            transfer: measured.transferTax,
+            getters,
+            ownerCanChange: setters.evidence.length > 0,
+            setters: setters.evidence,
+            simulation: measured,
+        };
+        const records = [];
+
+        const threshold = context.options.maxTaxPercent !== undefined ? context.options.maxTaxPercent : DEFAULT_MAX_TAX_PERCENT;
+        const measuredTaxes = [['buy', measured.buyTax], ['sell', measured.sellTax], ['transfer', measured.transferTax]]
+            .filter(([, tax]) => tax !== null);
+        if (measured.status !== 'ok' || measuredTaxes.length === 0) {
+            records.push(record('highTax', `Unknown - ${measured.reason || 'Taxes could not be measured'}`));
+        } else {
+            const high = measuredTaxes.filter(([, tax]) => tax > threshold);
+            records.push(record('highTax', high.length > 0, {
+                basis: 'simulation',
+                confidence: 'high',
+                evidence: high.map(([kind, tax]) => `${kind} tax ${tax}% (threshold ${threshold}%)`),
+            }));
+        }
+
+        records.push(record('taxModifiable', taxes.ownerCanChange, setters.details));
+        return { records, data: { taxes } };
+    } catch (error) {
+        console.error('Error measuring taxes:', error);
+        return { records: [record('highTax', "Unknown - Error measuring taxes")] };
+    }
+}
+
+// Fee setters from the AST, else fee selectors in the bytecode, else the raw text
+function findFeeSetters(context) {
+    if (context.sourceAnalyzer) {
+        const findings = context.sourceAnalyzer.findFeeSetters();
+        return { evidence: findings, details: { basis: 'ast', confidence: 'high', evidence: findings } };
+    }
+
+    if (!context.sourceCode) {
+        const selectors = context.bytecodeAnalysis
+            ? selectorsInCategories(context.bytecodeAnalysis, ['fee'])
+                .filter(entry => /^(set|update)/.test(entry.signature))
+            : [];
+        const evidence = selectors.map(entry => `${entry.selector} ${entry.signature}`);
+        return { evidence, details: { basis: 'bytecode', confidence: evidence.length > 0 ? 'medium' : 'low', evidence } };
+    }
+
+    const evidence = [/setTaxFeePercent/i, /updateFee/i]
+        .filter(pattern => pattern.test(context.sourceCode))
+        .map(pattern => `source matches ${pattern}`);
+    return { evidence, details: { basis: 'source-text', confidence: 'low', evidence } };
+}
+
+async function checkMintable(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'mintable', { categories: ['mint'] })] };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('mintable', context.sourceAnalyzer.findMintPaths())] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for mint function patterns
+        const mintPatterns = [
+            /function\s+mint\s*\(/i,
+            /function\s+_mint\s*\(/i,
+            /ERC20Mintable/i
+        ];
+
+        // Look for mintable function
+        const hasMintableFunction = mintPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('mintable', hasMintableFunction, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking mintable:', error);
+        return { records: [record('mintable', "Unknown - Error checking mintable")] };
+    }
+}
+
+async function checkProxyContract(context) {
+    try {
+        // Standard proxies are read from their storage slots, not guessed from source text
+        if (context.proxy.isProxy) {
+            return {
+                records: [record('proxyContract', true, {
+                    basis: 'storage',
+                    confidence: 'high',
+                    evidence: [`${context.proxy.standard} implementation ${context.proxy.implementation}`],
+                })],
+            };
+        }
+
+        if (!context.bytecodeAnalysis) {
+            return { records: [record('proxyContract', "Unknown - Bytecode not available")] };
+        }
+
+        // A non-standard proxy still has to forward calls somewhere, but
+        // libraries and multicall helpers use DELEGATECALL too
+        const delegates = context.bytecodeAnalysis.opcodes.DELEGATECALL;
+        return {
+            records: [record('proxyContract', delegates, {
+                basis: 'bytecode',
+                confidence: delegates ? 'low' : 'high',
+                evidence: delegates ? ['DELEGATECALL'] : [],
+            })],
+        };
+    } catch (error) {
+        console.error('Error checking proxy contract:', error);
+        return { records: [record('proxyContract', "Unknown - Error checking proxy")] };
+    }
+}
+
+async function checkSuspiciousFunctions(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return {
+                records: [bytecodeRecord(context, 'hasSuspiciousFunctions', {
+                    categories: ['fee', 'maxTx', 'tradingSwitch', 'router'],
+                    opcodes: ['SELFDESTRUCT', 'DELEGATECALL'],
+                })],
+            };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('hasSuspiciousFunctions', context.sourceAnalyzer.findSuspiciousFunctions())] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for suspicious function patterns
+        const suspiciousFunctionPatterns = [
+            /selfdestruct\s*\(/i,
+            /delegatecall\s*\(/i,
+            /setTaxFeePercent/i,
+            /setMaxTxAmount/i,
+            /excludeFromFee/i,
+            /setBlacklistEnabled/i,
+            /setCanTransfer/i,
+            /setRouterAddress/i,
+            /setSwapEnabled/i,
+            /updateFee/i
+        ];
+
+        // Look for suspicious functions
+        const hasSuspiciousFunctions = suspiciousFunctionPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('hasSuspiciousFunctions', hasSuspiciousFunctions, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking suspicious functions:', error);
+        return { records: [record('hasSuspiciousFunctions', "Unknown - Error checking suspicious functions")] };
+    }
+}
+
+async function checkBlacklist(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'hasBlacklist', { categories: ['blacklist'] })] };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('hasBlacklist', context.sourceAnalyzer.findAccessLists().blacklist)] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for blacklist patterns
+        const blacklistPatterns = [
+            /blacklist/i,
+            /blocked/i,
+            /banned/i,
+            /isBlacklisted/i,
+            /_blacklist/i,
+            /blacklistAddress/i
+        ];
+
+        // Look for blacklist functions
+        const hasBlacklist = blacklistPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('hasBlacklist', hasBlacklist, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking blacklist:', error);
+        return { records: [record('hasBlacklist', "Unknown - Error checking blacklist")] };
+    }
+}
+
+async function checkWhitelist(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'hasWhitelist', { categories: ['whitelist'] })] };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('hasWhitelist', context.sourceAnalyzer.findAccessLists().whitelist)] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for whitelist patterns
+        const whitelistPatterns = [
+            /whitelist/i,
+            /whitelisted/i,
+            /isWhitelisted/i,
+            /_whitelist/i,
+            /whitelistAddress/i
+        ];
+
+        // Look for whitelist functions
+        const hasWhitelist = whitelistPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('hasWhitelist', hasWhitelist, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking whitelist:', error);
+        return { records: [record('hasWhitelist', "Unknown - Error checking whitelist")] };
+    }
+}
+
+async function checkTransferCooldown(context) {
+    try {
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'transferCooldown', { categories: ['cooldown'] })] };
+        }
+
+        if (context.sourceAnalyzer) {
+            return { records: [sourceRecord('transferCooldown', context.sourceAnalyzer.findTransferCooldown())] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for cooldown patterns
+        const cooldownPatterns = [
+            /cooldown/i,
+            /cooldownTime/i,
+            /lockTime/i,
+            /lastTrade/i,
+            /block\.timestamp/i,
+            /timeLimit/i,
+            /tradingCooldown/i
+        ];
+
+        // Look for transfer cooldown mechanism
+        const hasTransferCooldown = cooldownPatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('transferCooldown', hasTransferCooldown, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking transfer cooldown:', error);
+        return { records: [record('transferCooldown', "Unknown - Error checking transfer cooldown")] };
+    }
+}
+
+async function checkTransferPausable(context) {
+    try {
+        // Try to call paused() function
+        let isPaused = false;
+        try {
+            isPaused = await context.tokenContract.paused();
+        } catch (error) {
+            console.error('Error checking paused:', error);
+            // Function doesn't exist or is not accessible
+            isPaused = false;
+        }
+
+        if (!context.sourceCode || context.sourceCode.length === 0) {
+            return { records: [bytecodeRecord(context, 'transferPausable', { categories: ['pause'] }, isPaused)] };
+        }
+
+        if (context.sourceAnalyzer) {
+            const findings = context.sourceAnalyzer.findPauseSwitch();
+            if (isPaused) {
+                findings.unshift({ contract: null, function: 'paused', line: null, detail: 'paused() currently returns true' });
+            }
+            return { records: [sourceRecord('transferPausable', findings)] };
+        }
+
+        // Source that does not parse, fall back to matching the raw text
+        // Check for pausable patterns
+        const pausablePatterns = [
+            /Pausable/i,
+            /paused\s*\(/i,
+            /whenNotPaused/i,
+            /pause\s*\(/i,
+            /unpause\s*\(/i,
+            /isPaused/i
+        ];
+
+        // Look for transfer pausable mechanism
+        const hasTransferPausable = isPaused || pausablePatterns.some(
+            pattern => pattern.test(context.sourceCode)
+        );
+
+        return { records: [record('transferPausable', hasTransferPausable, { basis: 'source-text', confidence: 'low' })] };
+    } catch (error) {
+        console.error('Error checking transfer pausable:', error);
+        return { records: [record('transferPausable', "Unknown - Error checking transfer pausable")] };
+    }
+}
+
+async function checkHolderDistribution(context) {
+    try {
+        // Balances rebuilt from every Transfer since deployment, or read for
+        // the addresses active in the lookback window of an older token
+        const holders = await analyzeHolders(
+            context.provider,
+            context.tokenAddress,
+            context.totalSupply,
+            {
+                owner: context.ownerAddress,
+                deployer: context.creation && context.creation.creator,
+            },
+            { ...context.options.holders, fromBlock: await context.getDeploymentBlock() }
+        );
+
+        return {
+            records: [record('concentratedHolder', holders.concentratedWallets.length > 0, {
+                basis: 'logs',
+                confidence: holders.scannedBlocks.complete ? 'high' : 'medium',
+                evidence: holders.concentratedWallets.map(wallet => `${wallet.address} holds ${wallet.share}% of supply`),
+            })],
+            data: { holders },
+        };
+    } catch (error) {
+        console.error('Error analyzing holders:', error);
+        return { records: [record('concentratedHolder', "Unknown - Error scanning Transfer logs")] };
+    }
+}
+
+async function checkLiquidity(context) {
+    if (context.chain.dex.factories.length === 0) {
+        return { records: [record('liquidityHeldByDeployer', "Unknown - No DEX factories configured for this chain")] };
+    }
+
+    try {
+        const liquidity = await analyzeLiquidity(
+            context.provider,
+            context.tokenAddress,
+            context.chain.dex,
+            {
+                owner: context.ownerAddress,
+                deployer: context.creation && context.creation.creator,
+                // No pair holds LP from before the token existed
+                deploymentBlock: await context.getDeploymentBlock(),
+            },
+            context.options.liquidity
+        );
+
+        if (liquidity.poolCount === 0) {
+            return { records: [record('liquidityHeldByDeployer', "Unknown - No liquidity pools found")], data: { liquidity } };
+        }
+
+        // LP balances come straight from the pair's Transfer logs
+        return {
+            records: [
+                record('liquidityHeldByDeployer', liquidity.unlockedDeployerPools.length > 0, {
+                    basis: 'logs',
+                    confidence: 'high',
+                    evidence: liquidity.unlockedDeployerPools.map(pool => `${pool.dex} pool ${pool.address}: deployer/owner holds ${pool.share}% of LP`),
+                }),
+                record('liquidityUnlocked', liquidity.unlockedPools.length > 0, {
+                    basis: 'logs',
+                    confidence: 'high',
+                    evidence: liquidity.unlockedPools.map(pool => `${pool.dex} pool ${pool.address}: only ${pool.share}% of LP burned or locked`),
+                }),
+            ],
+            data: { liquidity },
+        };
+    } catch (error) {
+        console.error('Error analyzing liquidity:', error);
+        return { records: [record('liquidityHeldByDeployer', "Unknown - Error analyzing liquidity pools")] };
+    }
+}
+
+async function checkDeployer(context) {
+    if (!context.creation || !context.creation.creator) {
+        return { records: [record('deployerRugHistory', "Unknown - Contract creator not found")] };
+    }
+
+    try {
+        const deployer = await analyzeDeployer(
+            context.provider,
+            context.explorer,
+            context.tokenAddress,
+            context.creation,
+            context.chain.dex,
+            context.options.deployer
+        );
+
+        // Drawn from the creator's transactions as the explorer lists them; a
+        // history cut short by the limit may hide older deployments
+        const confidence = deployer.complete ? 'high' : 'medium';
+        const records = [record('deployerRugHistory', deployer.rugHistory, {
+            basis: 'explorer',
+            confidence,
+            evidence: deployer.otherContracts
+                .filter(contract => contract.pulledLiquidity || contract.soldShare > 0)
+                .map(contract => `${contract.symbol || contract.address} (${contract.address}): ${[
+                    contract.pulledLiquidity && 'liquidity removed',
+                    contract.soldShare > 0 && `${contract.soldShare}% of supply sold`,
+                ].filter(Boolean).join(', ')} soon after launch`),
+        })];
+        if (deployer.launch) {
+            records.push(record('deployerExitedLaunch', deployer.exitedLaunch, {
+                basis: 'explorer',
+                confidence: 'high',
+                evidence: [
+                    ...deployer.launch.liquidityRemovals.map(removal => `${removal.function} in ${removal.txHash}`),
+                    ...(deployer.launch.soldShare > 0 ? [`${deployer.launch.soldShare}% of supply sold through the router`] : []),
+                ],
+            }));
+        }
+        records.push(record('serialDeployer', deployer.serialDeployer, {
+            basis: 'explorer',
+            confidence,
+            evidence: deployer.serialDeployer ? [`${deployer.otherTokenCount} other tokens deployed by ${deployer.creator}`] : [],
+        }));
+        return { records, data: { deployer } };
+    } catch (error) {
+        console.error('Error analyzing deployer:', error);
+        return { records: [record('deployerRugHistory', "Unknown - Error reading the creator's history")] };
+    }
+}
+
+// The closest labelled contract in the local fingerprint database; a close
+// enough match to one labelled malicious marks the token as a redeployed template
+function checkFingerprint(context) {
+    const settings = context.options.fingerprint || {};
+    if (!settings.database) {
+        return { records: [record('knownScamTemplate', "Unknown - No fingerprint database")] };
+    }
+    const fingerprint = fingerprintBytecode(context.bytecode);
+    if (!fingerprint) {
+        return { records: [record('knownScamTemplate', "Unknown - Bytecode not available")] };
+    }
+
+    try {
+        const minSimilarity = settings.minSimilarity !== undefined ? settings.minSimilarity : DEFAULT_MIN_TEMPLATE_SIMILARITY;
+        const closest = settings.database.closest(fingerprint);
+        const isClone = Boolean(closest) && closest.similarity >= minSimilarity;
+        const known = isClone && closest.entry.verdict === 'malicious';
+
+        return {
+            records: [record('knownScamTemplate', known, {
+                basis: 'bytecode',
+                // A normalized exact match is the same code, a fuzzy one only shares most of it
+                confidence: known && closest.match !== 'fuzzy' ? 'high' : 'medium',
+                evidence: known
+                    ? [`${closest.match} match (similarity ${closest.similarity}) with "${closest.entry.label}", ${closest.entry.address} on ${closest.entry.chain}`]
+                    : [],
+            })],
+            data: {
+                fingerprint: {
+                    exactHash: fingerprint.exactHash,
+                    opcodeHash: fingerprint.opcodeHash,
+                    minSimilarity,
+                    closest: closest
+                        ? {
+                            label: closest.entry.label,
+                            verdict: closest.entry.verdict,
+                            chain: closest.entry.chain,
+                            address: closest.entry.address,
+                            match: closest.match,
+                            similarity: closest.similarity,
+                            opcodeSimilarity: closest.opcodeSimilarity,
+                            selectorSimilarity: closest.selectorSimilarity,
+                            isClone,
+                        }
+                        : null,
+                },
+            },
+        };
+    } catch (error) {
+        console.error('Error matching fingerprint:', error);
+        return { records: [record('knownScamTemplate', "Unknown - Error reading the fingerprint database")] };
+    }
+}
+
+// Limits as the token holds them right now, and whether the owner can turn
+// trading off again once it is open
+async function checkLimits(context) {
+    try {
+        const limits = await readLimits(context.provider, {
+            address: context.tokenAddress,
+            totalSupply: context.totalSupply,
+            abi: context.verified && context.verified.abi,
+            sourceAnalyzer: context.sourceAnalyzer,
+            contractName: context.verified && context.verified.name,
+        }, context.options.limits);
+
+        return {
+            records: [
+                record('sellLimitTooLow', limits.sellBlocks.length > 0, {
+                    basis: 'rpc',
+                    // A limit kept in whole tokens rather than base units reads far smaller than it is
+                    confidence: limits.limits.length > 0 ? 'medium' : 'low',
+                    evidence: limits.sellBlocks.map(limit => `${limit.name} is ${limit.value} (${limit.percentOfSupply}% of supply, below ${limits.minSellLimitPercent}%)`),
+                }),
+                tradingSwitchRecord(context),
+            ],
+            data: { limits },
+        };
+    } catch (error) {
+        console.error('Error reading limits:', error);
+        return { records: [record('sellLimitTooLow', "Unknown - Error reading limits")] };
+    }
+}
+
+function tradingSwitchRecord(context) {
+    if (context.sourceAnalyzer) {
+        const flags = [...context.sourceAnalyzer.stateVariables.values()]
+            .filter(variable => limitKind(variable.name) === 'tradingEnabled')
+            .map(variable => variable.name);
+        return sourceRecord('tradingSwitchable', context.sourceAnalyzer.findTradingSwitches(flags));
+    }
+    if (context.sourceCode) {
+        // Source that does not parse, fall back to matching the raw text
+        return record('tradingSwitchable', /function\s+set\w*Trading\w*\s*\(\s*bool/i.test(context.sourceCode), { basis: 'source-text', confidence: 'low' });
+    }
+    if (!context.bytecodeAnalysis) {
+        return record('tradingSwitchable', "Unknown - Source code not verified");
+    }
+
+    const found = context.bytecodeAnalysis.selectors.filter(entry => TRADING_SWITCH_SIGNATURES.includes(entry.signature));
+    return record('tradingSwitchable', found.length > 0, {
+        basis: 'bytecode',
+        confidence: found.length > 0 ? 'medium' : 'low',
+        evidence: found.map(entry => `${entry.selector} ${entry.signature}`),
+    });
+}
+
+// How the token departs from plain ERC-20 accounting, for integrators; the
+// findings are informational and leave the risk score alone
+async function checkBehavior(context) {
+    try {
+        const behavior = await classifyBehavior(context.provider, context.tokenAddress, await context.getTradeSimulation(), {
+            selectors: context.bytecodeAnalysis ? context.bytecodeAnalysis.selectors.map(entry => entry.selector) : [],
+        });
+
+        const records = [];
+        const unknown = `Unknown - ${behavior.reason}`;
+        records.push(behavior.feeOnTransfer
+            ? record('feeOnTransfer', behavior.feeOnTransfer.detected, {
+                basis: 'simulation',
+                confidence: 'high',
+                evidence: behavior.feeOnTransfer.detected
+                    ? [`sent ${behavior.feeOnTransfer.sent}, received ${behavior.feeOnTransfer.received}, debited ${behavior.feeOnTransfer.debited}`]
+                    : [],
+            })
+            : record('feeOnTransfer', unknown));
+        records.push(behavior.rebasing
+            ? record('rebasing', behavior.rebasing.detected, {
+                basis: 'simulation',
+                confidence: 'high',
+                evidence: [
+                    behavior.rebasing.balanceChangedWithoutTransfer && 'balances moved by more than the Transfer events during a transfer',
+                    behavior.rebasing.balanceChangedOverTime && `balances changed over ${behavior.rebasing.waitedSeconds}s without any transaction`,
+                ].filter(Boolean),
+            })
+            : record('rebasing', unknown));
+        // Read from the registry and ERC-165 at the audit's block, fork or not
+        records.push(record('transferHooks', behavior.hooks.erc777 || behavior.hooks.erc1363, {
+            basis: 'rpc',
+            confidence: 'high',
+            evidence: [
+                behavior.hooks.erc777 && 'registered as ERC777Token in the ERC-1820 registry',
+                behavior.hooks.erc1363 && 'implements ERC-1363 transferAndCall',
+            ].filter(Boolean),
+        }));
+        if (behavior.transferReturn && behavior.approval) {
+            const quirks = [
+                behavior.transferReturn.onSuccess === 'none' && 'transfer returns nothing',
+                behavior.transferReturn.onFailure === 'false' && 'a failed transfer returns false instead of reverting',
+                !behavior.approval.returnsBool && 'approve does not return a bool',
+            ].filter(Boolean);
+            records.push(record('nonStandardReturns', quirks.length > 0, { basis: 'simulation', confidence: 'high', evidence: quirks }));
+        }
+        if (behavior.approval && behavior.approval.raceGuard !== null) {
+            records.push(record('approvalRaceGuard', behavior.approval.raceGuard, {
+                basis: 'simulation',
+                confidence: 'high',
+                evidence: behavior.approval.raceGuard ? ['approve from one non-zero allowance to another reverts until it is set to 0'] : [],
+            }));
+        }
+        return { records, data: { behavior } };
+    } catch (error) {
+        console.error('Error classifying token behavior:', error);
+        return { records: [record('feeOnTransfer', "Unknown - Error classifying token behavior")] };
+    }
+}
+
+// Price against the reference token from every configured source; sources
+// that disagree, or a pegged token off its peg, are flagged as a depeg
+async function checkPrice(context) {
+    const dex = context.chain.dex;
+    if (dex.factories.length === 0 && dex.subgraphs.length === 0) {
+        return { records: [record('depegged', "Unknown - No DEX factories or subgraphs configured for this chain")] };
+    }
+
+    try {
+        const price = await priceToken(context.provider, context.tokenAddress, dex, context.options.price);
+        if (price.error) {
+            return { records: [record('depegged', `Unknown - ${price.error}`)] };
+        }
+        if (price.sources.length === 0) {
+            return { records: [record('depegged', `Unknown - No source prices the token in ${price.reference.symbol}`)], data: { price } };
+        }
+
+        const evidence = price.sources.map(source => `${source.type} ${source.name}${source.pool ? ` ${source.pool}` : ''}: ${source.price} ${price.reference.symbol}`);
+        if (price.spread !== null) {
+            evidence.push(`sources ${price.spread}% apart`);
+        }
+        if (price.deviation !== null) {
+            evidence.push(`${price.deviation}% from the ${price.peg} ${price.reference.symbol} peg`);
+        }
+        if (price.shallowSources.length > 0) {
+            evidence.push(`${price.shallowSources.length} shallow pool source(s) left out`);
+        }
+        // One source can be moved by a single trade and has nothing to compare against
+        return {
+            records: [record('depegged', price.depegged, {
+                basis: 'price',
+                confidence: price.sources.length > 1 ? 'high' : 'low',
+                evidence: price.depegged ? evidence : [],
+            })],
+            data: { price },
+        };
+    } catch (error) {
+        console.error('Error pricing token:', error);
+        return { records: [record('depegged', "Unknown - Error reading prices")] };
+    }
+}
+
+module.exports = {
+    CHECKS,
+    selectChecks,
+    describeCheck,
+    record,
+};
@@ -0,0 +1,58 @@
+// Known Solidity compiler bugs that apply to the version and settings a
+// contract was verified with (medium and high severity entries only)
+const { bugs } = require('../data/compiler-bugs.json');
+
+// "v0.8.19+commit.7dd6d404" or "0.8.19" to [0, 8, 19]; Vyper and unknown strings to null
+function parseCompilerVersion(compilerVersion) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)/.exec(compilerVersion || '');
+    return match ? match.slice(1, 4).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    for (let index = 0; index < 3; index++) {
+        if (a[index] !== b[index]) {
+            return a[index] - b[index];
+        }
+    }
+    return 0;
+}
+
+// ABIEncoderV2 is opt-in before 0.8.0 and the default from then on, unless a
+// file asks for v1. Without sources there is nothing to rule it out.
+function usesAbiEncoderV2(version, sources) {
+    if (sources.length === 0) {
+        return true;
+    }
+    if (sources.some(source => /pragma\s+(experimental\s+ABIEncoderV2|abicoder\s+v2)\b/.test(source.content || ''))) {
+        return true;
+    }
+    return compareVersions(version, [0, 8, 0]) >= 0 &&
+        sources.some(source => !/pragma\s+abicoder\s+v1\b/.test(source.content || ''));
+}
+
+function findCompilerBugs(compilerVersion, optimization = {}, sources = []) {
+    const version = parseCompilerVersion(compilerVersion);
+    if (!version) {
+        return [];
+    }
+
+    return bugs.filter(bug => {
+        const introduced = bug.introduced ? parseCompilerVersion(bug.introduced) : [0, 0, 0];
+        const affected = compareVersions(version, introduced) >= 0 &&
+            compareVersions(version, parseCompilerVersion(bug.fixed)) < 0;
+        // Optimizer bugs only bite when the optimizer was on, encoder bugs
+        // when the contract was built with ABIEncoderV2
+        return affected && (!bug.conditions.optimizer || optimization.enabled) &&
+            (!bug.conditions.ABIEncoderV2 || usesAbiEncoderV2(version, sources));
+    }).map(bug => ({
+        name: bug.name,
+        severity: bug.severity,
+        fixed: bug.fixed,
+        summary: bug.summary,
+    }));
+}
+
+module.exports = {
+    parseCompilerVersion,
+    findCompilerBugs,
+};
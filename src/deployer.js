@@ -0,0 +1,259 @@
+// Deployer reputation: the contracts the token's creator deployed before and
+// after it, where the creator's first funds came from, and whether the creator
+// pulled liquidity or sold soon after launch, read from the explorer's history
+const { ethers } = require('ethers');
+const { analyzeBytecode } = require('./bytecode');
+const { withDefaults } = require('./utils');
+
+// Router calls that take liquidity out, with the argument naming the token
+const LIQUIDITY_REMOVALS = [
+    'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)',
+    'function removeLiquidityWithPermit(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline, bool approveMax, uint8 v, bytes32 r, bytes32 s)',
+    'function removeLiquidityETHWithPermit(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline, bool approveMax, uint8 v, bytes32 r, bytes32 s)',
+    'function removeLiquidityETHSupportingFeeOnTransferTokens(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)',
+    'function removeLiquidityETHWithPermitSupportingFeeOnTransferTokens(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline, bool approveMax, uint8 v, bytes32 r, bytes32 s)',
+];
+
+// Router swaps that sell path[0]; the first argument is the amount sold, or
+// the most that may be sold for the exact-output variants
+const SELLS = [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+];
+
+const ROUTER_INTERFACE = new ethers.utils.Interface([...LIQUIDITY_REMOVALS, ...SELLS]);
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function totalSupply() view returns (uint256)',
+];
+
+// Selector categories that make a sibling contract worth pointing out
+const RISKY_CATEGORIES = ['mint', 'blacklist', 'fee', 'pause', 'tradingSwitch', 'maxTx'];
+
+const DEFAULT_OPTIONS = {
+    // Transactions read from the creator's history
+    historyLimit: 1000,
+    // Other contracts of the creator given a lightweight audit, newest first
+    maxOtherContracts: 20,
+    // Incoming transfers before the deployment reported as funding
+    fundingCount: 3,
+    // Activity this long after a launch counts as "soon after"
+    launchWindowSeconds: 7 * 24 * 60 * 60,
+    // Router sells within the window above this percentage of supply are flagged
+    largeSellPercent: 5,
+    // More tokens than this from the same creator marks a serial deployer
+    serialDeployerThreshold: 5,
+};
+
+async function analyzeDeployer(provider, explorer, tokenAddress, creation, dex, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const creator = creation.creator;
+    const routers = (dex.routers || []).map(router => router.address.toLowerCase());
+
+    const [history, internal] = await Promise.all([
+        explorer.getTransactions(creator, settings.historyLimit),
+        explorer.getInternalTransactions(creator, settings.historyLimit),
+    ]);
+    const transactions = history.transactions.filter(tx => tx.success);
+
+    const creationTx = transactions.find(tx => sameAddress(tx.createdContract, tokenAddress))
+        || transactions.find(tx => creation.txHash && tx.hash === creation.txHash)
+        || null;
+    const launchTime = creationTx ? creationTx.timestamp : null;
+
+    const deployments = transactions.filter(tx => tx.createdContract && !sameAddress(tx.createdContract, tokenAddress));
+    const otherContracts = [];
+    for (const tx of deployments.slice(-settings.maxOtherContracts).reverse()) {
+        otherContracts.push(await auditSibling(provider, tx, transactions, routers, settings));
+    }
+
+    const launch = launchTime !== null
+        ? await launchActivity(provider, transactions, tokenAddress, launchTime, routers, settings)
+        : null;
+
+    const funding = [...transactions, ...internal.transactions.filter(tx => tx.success)]
+        .filter(tx => sameAddress(tx.to, creator) && !ethers.BigNumber.from(tx.value).isZero())
+        .filter(tx => launchTime === null || tx.timestamp <= launchTime)
+        .sort((a, b) => a.blockNumber - b.blockNumber)
+        .slice(0, settings.fundingCount);
+
+    const deployer = {
+        creator,
+        creationTx: creation.txHash || (creationTx && creationTx.hash),
+        creationBlock: creationTx ? creationTx.blockNumber : null,
+        transactionsScanned: history.transactions.length,
+        // With more history than the limit, older deployments and funding may be missing
+        complete: history.complete && internal.complete,
+        otherContracts,
+        otherTokenCount: otherContracts.filter(contract => contract.isToken).length,
+        funding: await Promise.all(funding.map(async tx => ({
+            from: tx.from,
+            // Some explorers leave the sender of an internal transfer out
+            fromType: tx.from ? ((await provider.getCode(tx.from)) === '0x' ? 'EOA' : 'contract') : null,
+            value: ethers.utils.formatEther(tx.value),
+            txHash: tx.hash,
+            blockNumber: tx.blockNumber,
+            internal: !transactions.includes(tx),
+        }))),
+        launch,
+    };
+    return { ...deployer, ...verdict(deployer, settings) };
+}
+
+// Enough to tell a rug from an honest project without a full audit each
+async function auditSibling(provider, tx, transactions, routers, settings) {
+    const address = ethers.utils.getAddress(tx.createdContract);
+    const code = await provider.getCode(address);
+    const token = new ethers.Contract(address, TOKEN_ABI, provider);
+    const [name, symbol, totalSupply] = code === '0x'
+        ? [null, null, null]
+        : await Promise.all([
+            token.name().catch(() => null),
+            token.symbol().catch(() => null),
+            token.totalSupply().catch(() => null),
+        ]);
+
+    const analysis = code === '0x' ? null : analyzeBytecode(code);
+    const activity = await launchActivity(provider, transactions, address, tx.timestamp, routers, settings);
+
+    return {
+        address,
+        blockNumber: tx.blockNumber,
+        txHash: tx.hash,
+        // Self-destructed, or never more than a constructor
+        destroyed: code === '0x',
+        isToken: totalSupply !== null,
+        name,
+        symbol,
+        riskyFeatures: analysis
+            ? [...new Set(analysis.selectors.map(entry => entry.category).filter(category => RISKY_CATEGORIES.includes(category)))]
+            : [],
+        pulledLiquidity: activity.liquidityRemovals.length > 0,
+        soldShare: activity.soldShare,
+    };
+}
+
+// The creator's router calls on one token within the launch window
+async function launchActivity(provider, transactions, tokenAddress, launchTime, routers, settings) {
+    const windowEnd = launchTime + settings.launchWindowSeconds;
+    const calls = transactions
+        .filter(tx => tx.timestamp >= launchTime && tx.timestamp <= windowEnd)
+        .filter(tx => tx.to && routers.includes(tx.to.toLowerCase()))
+        .map(tx => ({ tx, call: parseRouterCall(tx.input) }))
+        .filter(({ call }) => call !== null);
+
+    const liquidityRemovals = calls
+        .filter(({ call }) => call.name.startsWith('removeLiquidity'))
+        .filter(({ call }) => [call.args.token, call.args.tokenA, call.args.tokenB].some(address => sameAddress(address, tokenAddress)))
+        .map(({ tx, call }) => ({ txHash: tx.hash, blockNumber: tx.blockNumber, function: call.name }));
+
+    const sells = [];
+    for (const { tx, call } of calls.filter(({ call }) => call.name.startsWith('swap') && sameAddress(call.args.path[0], tokenAddress))) {
+        // An exact-output swap only names a ceiling, often MaxUint256; what was
+        // sold is in the receipt's Transfer events
+        const amount = call.args.amountIn || await soldInReceipt(provider, tx, tokenAddress);
+        sells.push({
+            txHash: tx.hash,
+            blockNumber: tx.blockNumber,
+            function: call.name,
+            amount: amount ? amount.toString() : null,
+        });
+    }
+
+    let soldShare = 0;
+    const amounts = sells.filter(sell => sell.amount !== null);
+    if (amounts.length > 0) {
+        const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+        const supply = await token.totalSupply().catch(() => null);
+        if (supply && !supply.isZero()) {
+            const sold = amounts.reduce((total, sell) => total.add(sell.amount), ethers.constants.Zero);
+            soldShare = (sold.gt(supply) ? supply : sold).mul(10000).div(supply).toNumber() / 100;
+        }
+    }
+
+    return {
+        windowSeconds: settings.launchWindowSeconds,
+        liquidityRemovals,
+        sells,
+        soldShare,
+    };
+}
+
+// Tokens the seller sent in the swap, or null when the receipt cannot be read
+async function soldInReceipt(provider, tx, tokenAddress) {
+    try {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        return receipt.logs
+            .filter(log => sameAddress(log.address, tokenAddress) && log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3)
+            .filter(log => sameAddress(ethers.utils.hexDataSlice(log.topics[1], 12), tx.from))
+            .reduce((total, log) => total.add(ethers.BigNumber.from(log.data)), ethers.constants.Zero);
+    } catch (error) {
+        console.error(`Error reading the receipt of ${tx.hash}:`, error.message);
+        return null;
+    }
+}
+
+function parseRouterCall(input) {
+    try {
+        return ROUTER_INTERFACE.parseTransaction({ data: input });
+    } catch {
+        return null;
+    }
+}
+
+function verdict(deployer, settings) {
+    const reasons = [];
+    const rugged = deployer.otherContracts.filter(contract => contract.pulledLiquidity);
+    const dumped = deployer.otherContracts.filter(contract => contract.soldShare > settings.largeSellPercent);
+    const exited = deployer.launch
+        && (deployer.launch.liquidityRemovals.length > 0 || deployer.launch.soldShare > settings.largeSellPercent);
+
+    if (rugged.length > 0) {
+        reasons.push(`Pulled liquidity soon after launch from ${rugged.length} other token(s): ${rugged.map(contract => contract.address).join(', ')}`);
+    }
+    if (dumped.length > 0) {
+        reasons.push(`Sold more than ${settings.largeSellPercent}% of supply soon after launch of ${dumped.length} other token(s)`);
+    }
+    if (deployer.launch && deployer.launch.liquidityRemovals.length > 0) {
+        reasons.push(`Removed liquidity from this token ${deployer.launch.liquidityRemovals.length} time(s) soon after launch`);
+    }
+    if (deployer.launch && deployer.launch.soldShare > settings.largeSellPercent) {
+        reasons.push(`Sold ${deployer.launch.soldShare}% of this token's supply soon after launch`);
+    }
+    const serial = deployer.otherTokenCount > settings.serialDeployerThreshold;
+    if (serial) {
+        reasons.push(`Deployed ${deployer.otherTokenCount} other tokens`);
+    }
+
+    let reputation = 'clean';
+    if (rugged.length > 0 || dumped.length > 0 || exited) {
+        reputation = 'high-risk';
+    } else if (serial) {
+        reputation = 'caution';
+    }
+
+    return {
+        verdict: reputation,
+        reasons,
+        rugHistory: rugged.length > 0 || dumped.length > 0,
+        exitedLaunch: Boolean(exited),
+        serialDeployer: serial,
+    };
+}
+
+function sameAddress(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+    analyzeDeployer,
+};
@@ -0,0 +1,279 @@
+// Block explorer clients for verified contracts, contract creation and address history.
+// Blockscout, Etherscan-style APIs and Sourcify answer the same questions with
+// different shapes; all of them return the same verified contract record.
+
+class BlockscoutExplorer {
+    constructor(config) {
+        this.apiUrl = config.apiUrl;
+    }
+
+    async getVerifiedContract(address) {
+        const response = await fetch(`${this.apiUrl}/smart-contracts/${address}`);
+        const data = await response.json();
+
+        if (!data || !data.source_code || data.source_code.length === 0) {
+            return null;
+        }
+        return {
+            name: data.name || null,
+            verifiedBy: 'blockscout',
+            sources: [
+                { path: data.file_path || `${data.name || 'Contract'}.sol`, content: data.source_code },
+                ...(data.additional_sources || []).map(source => ({ path: source.file_path, content: source.source_code })),
+            ],
+            abi: Array.isArray(data.abi) ? data.abi : null,
+            compilerVersion: data.compiler_version || null,
+            optimization: {
+                enabled: Boolean(data.optimization_enabled),
+                runs: data.optimization_runs !== undefined ? Number(data.optimization_runs) : null,
+            },
+            evmVersion: data.evm_version || null,
+        };
+    }
+
+    async getContractCreation(address) {
+        const response = await fetch(`${this.apiUrl}/addresses/${address}`);
+        const data = await response.json();
+
+        if (!data || !data.creator_address_hash) {
+            return null;
+        }
+        return {
+            creator: data.creator_address_hash,
+            txHash: data.creation_tx_hash || data.creation_transaction_hash || null,
+        };
+    }
+
+    // Oldest first, at most `limit`; complete is false when the address has more
+    async getTransactions(address, limit) {
+        return this.paginate(`${this.apiUrl}/addresses/${address}/transactions`, limit, item => ({
+            hash: item.hash,
+            blockNumber: item.block_number || item.block,
+            timestamp: Math.floor(Date.parse(item.timestamp) / 1000),
+            from: item.from ? item.from.hash : null,
+            to: item.to ? item.to.hash : null,
+            value: item.value || '0',
+            input: item.raw_input || '0x',
+            createdContract: item.created_contract ? item.created_contract.hash : null,
+            success: item.status === 'ok',
+        }));
+    }
+
+    async getInternalTransactions(address, limit) {
+        return this.paginate(`${this.apiUrl}/addresses/${address}/internal-transactions`, limit, item => ({
+            hash: item.transaction_hash,
+            blockNumber: item.block_number || item.block,
+            timestamp: Math.floor(Date.parse(item.timestamp) / 1000),
+            from: item.from ? item.from.hash : null,
+            to: item.to ? item.to.hash : null,
+            value: item.value || '0',
+            input: '0x',
+            createdContract: item.created_contract ? item.created_contract.hash : null,
+            success: item.success !== false,
+        }));
+    }
+
+    // Blockscout pages newest first unless the instance supports sorting, so
+    // the pages are sorted here as well
+    async paginate(url, limit, normalize) {
+        const sorting = { sort: 'block_number', order: 'asc' };
+        const items = [];
+        let params = sorting;
+        while (items.length < limit) {
+            const response = await fetch(`${url}?${new URLSearchParams(params)}`);
+            const data = await response.json();
+            items.push(...(data.items || []).map(normalize));
+            if (!data.next_page_params) {
+                return { transactions: oldestFirst(items).slice(0, limit), complete: true };
+            }
+            params = { ...sorting, ...data.next_page_params };
+        }
+        return { transactions: oldestFirst(items).slice(0, limit), complete: false };
+    }
+}
+
+// Etherscan's V2 API serves every chain from one URL, picked by chainid
+class EtherscanExplorer {
+    constructor(config, chainId) {
+        this.apiUrl = config.apiUrl;
+        this.apiKey = config.apiKey;
+        this.chainId = chainId;
+    }
+
+    async getVerifiedContract(address) {
+        const data = await this.request({
+            module: 'contract',
+            action: 'getsourcecode',
+            address,
+        });
+        const entry = data && Array.isArray(data.result) ? data.result[0] : null;
+
+        if (!entry || !entry.SourceCode) {
+            return null;
+        }
+        return {
+            name: entry.ContractName || null,
+            verifiedBy: 'etherscan',
+            sources: splitEtherscanSource(entry.SourceCode, entry.ContractName),
+            abi: parseJson(entry.ABI),
+            compilerVersion: entry.CompilerVersion || null,
+            optimization: {
+                enabled: entry.OptimizationUsed === '1',
+                runs: entry.Runs ? Number(entry.Runs) : null,
+            },
+            evmVersion: entry.EVMVersion && entry.EVMVersion !== 'Default' ? entry.EVMVersion : null,
+        };
+    }
+
+    async getContractCreation(address) {
+        const data = await this.request({
+            module: 'contract',
+            action: 'getcontractcreation',
+            contractaddresses: address,
+        });
+        const entry = data && Array.isArray(data.result) ? data.result[0] : null;
+
+        if (!entry || !entry.contractCreator) {
+            return null;
+        }
+        return {
+            creator: entry.contractCreator,
+            txHash: entry.txHash || null,
+        };
+    }
+
+    async getTransactions(address, limit) {
+        return this.accountHistory('txlist', address, limit);
+    }
+
+    async getInternalTransactions(address, limit) {
+        return this.accountHistory('txlistinternal', address, limit);
+    }
+
+    async accountHistory(action, address, limit) {
+        const data = await this.request({
+            module: 'account',
+            action,
+            address,
+            startblock: 0,
+            endblock: 99999999,
+            page: 1,
+            offset: limit,
+            sort: 'asc',
+        });
+        // An address without history answers with a message instead of a list
+        const entries = data && Array.isArray(data.result) ? data.result : [];
+        return {
+            transactions: entries.map(entry => ({
+                hash: entry.hash,
+                blockNumber: Number(entry.blockNumber),
+                timestamp: Number(entry.timeStamp),
+                from: entry.from,
+                to: entry.to || null,
+                value: entry.value || '0',
+                input: entry.input || '0x',
+                createdContract: entry.contractAddress || null,
+                success: entry.isError === '0',
+            })),
+            complete: entries.length < limit,
+        };
+    }
+
+    async request(query) {
+        const params = new URLSearchParams({ chainid: this.chainId, ...query });
+        if (this.apiKey) {
+            params.set('apikey', this.apiKey);
+        }
+
+        const response = await fetch(`${this.apiUrl}?${params}`);
+        return response.json();
+    }
+}
+
+// Sourcify keeps full and partial matches for contracts that were never
+// verified on the chain's own explorer; the metadata file carries the rest
+class Sourcify {
+    constructor(apiUrl, chainId) {
+        this.apiUrl = apiUrl;
+        this.chainId = chainId;
+    }
+
+    async getVerifiedContract(address) {
+        const response = await fetch(`${this.apiUrl}/files/any/${this.chainId}/${address}`);
+        if (!response.ok) {
+            return null;
+        }
+        const data = await response.json();
+        const files = data && Array.isArray(data.files) ? data.files : [];
+        const metadataFile = files.find(file => file.name === 'metadata.json');
+        const sources = files
+            .filter(file => file.name.endsWith('.sol'))
+            .map(file => ({ path: file.path.split('/sources/').pop(), content: file.content }));
+
+        if (!metadataFile || sources.length === 0) {
+            return null;
+        }
+        const metadata = JSON.parse(metadataFile.content);
+        const target = metadata.settings && metadata.settings.compilationTarget;
+        const optimizer = (metadata.settings && metadata.settings.optimizer) || {};
+
+        return {
+            name: target ? Object.values(target)[0] : null,
+            verifiedBy: `sourcify (${data.status} match)`,
+            sources,
+            abi: metadata.output ? metadata.output.abi : null,
+            compilerVersion: metadata.compiler ? metadata.compiler.version : null,
+            optimization: {
+                enabled: Boolean(optimizer.enabled),
+                runs: optimizer.runs !== undefined ? optimizer.runs : null,
+            },
+            evmVersion: (metadata.settings && metadata.settings.evmVersion) || null,
+        };
+    }
+}
+
+// Multi-file contracts come back as standard JSON input, wrapped in an extra
+// pair of braces; single-file ones as plain source
+function splitEtherscanSource(sourceCode, contractName) {
+    const single = [{ path: `${contractName || 'Contract'}.sol`, content: sourceCode }];
+    if (!sourceCode.startsWith('{')) {
+        return single;
+    }
+
+    const json = parseJson(sourceCode.startsWith('{{') ? sourceCode.slice(1, -1) : sourceCode);
+    if (!json) {
+        return single;
+    }
+    const sources = json.sources || json;
+    return Object.entries(sources).map(([path, source]) => ({ path, content: source.content }));
+}
+
+function oldestFirst(transactions) {
+    return [...transactions].sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+const EXPLORERS = {
+    blockscout: BlockscoutExplorer,
+    etherscan: EtherscanExplorer,
+};
+
+function createExplorer(config, chainId) {
+    const Explorer = EXPLORERS[config.type];
+    if (!Explorer) {
+        throw new Error(`Unsupported explorer type "${config.type}"`);
+    }
+    return new Explorer(config, chainId);
+}
+
+module.exports = {
+    createExplorer,
+    Sourcify,
+};
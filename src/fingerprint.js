@@ -0,0 +1,222 @@
+// Bytecode fingerprints for spotting redeployed templates: runtime code is
+// normalized so a renamed clone hashes the same, then matched exactly and by
+// similarity against a local database of labelled contracts
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const { stripMetadata, disassemble, analyzeBytecode } = require('./bytecode');
+const { resolveProxy } = require('./proxy');
+
+const PUSH1 = 0x60;
+const PUSH20 = 0x73;
+const PUSH32 = 0x7f;
+
+// Opcodes per shingle, and MinHash values per fingerprint
+const SHINGLE_SIZE = 8;
+const MINHASH_SIZE = 64;
+// Weight of the opcode similarity against the selector similarity
+const OPCODE_WEIGHT = 0.8;
+
+const VERDICTS = ['malicious', 'safe'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS fingerprints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        address TEXT NOT NULL,
+        label TEXT NOT NULL,
+        verdict TEXT NOT NULL,
+        note TEXT,
+        exact_hash TEXT NOT NULL,
+        opcode_hash TEXT NOT NULL,
+        selectors TEXT NOT NULL,
+        minhash TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE (chain, address)
+    );
+    CREATE INDEX IF NOT EXISTS fingerprints_by_exact_hash ON fingerprints (exact_hash);
+    CREATE INDEX IF NOT EXISTS fingerprints_by_opcode_hash ON fingerprints (opcode_hash);
+`;
+
+// murmur3's finalizer, enough to spread a 32-bit hash for MinHash
+function mix(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, index) => mix(Math.imul(index + 1, 0x9e3779b9)));
+
+// exactHash covers the code without its metadata and with every PUSH20 and
+// PUSH32 zeroed: immutables, embedded addresses and constant strings such as
+// the name. opcodeHash drops all push data and push sizes, so clones that only
+// change a constant still match. minhash estimates how many opcode runs two
+// contracts share
+function fingerprintBytecode(code) {
+    if (!code || code === '0x') {
+        return null;
+    }
+
+    const instructions = disassemble(stripMetadata(code));
+    const normalized = instructions.map(({ opcode, push }) => {
+        if (!push) {
+            return opcode.toString(16).padStart(2, '0');
+        }
+        const data = opcode === PUSH20 || opcode === PUSH32 ? '0'.repeat(push.length - 2) : push.slice(2);
+        return opcode.toString(16).padStart(2, '0') + data;
+    }).join('');
+    // A longer name or a larger constant changes the push size, not the code
+    const opcodes = instructions.map(({ opcode }) => (opcode > PUSH1 && opcode <= PUSH32 ? PUSH1 : opcode));
+
+    return {
+        exactHash: ethers.utils.keccak256('0x' + normalized),
+        opcodeHash: ethers.utils.keccak256(opcodes),
+        selectors: analyzeBytecode(code).selectors.map(entry => entry.selector).sort(),
+        minhash: minhash(opcodes),
+    };
+}
+
+function minhash(opcodes) {
+    const values = new Array(MINHASH_SIZE).fill(0xffffffff);
+    const last = Math.max(1, opcodes.length - SHINGLE_SIZE + 1);
+    for (let start = 0; start < last; start++) {
+        // FNV-1a over the run of opcodes
+        let hash = 0x811c9dc5;
+        for (const opcode of opcodes.slice(start, start + SHINGLE_SIZE)) {
+            hash = Math.imul(hash ^ opcode, 0x01000193);
+        }
+        for (let index = 0; index < MINHASH_SIZE; index++) {
+            const value = mix(hash ^ SEEDS[index]);
+            if (value < values[index]) {
+                values[index] = value;
+            }
+        }
+    }
+    return values;
+}
+
+// 0 to 1, mostly from the shared opcode runs, partly from the shared selectors
+function compareFingerprints(a, b) {
+    if (a.exactHash === b.exactHash) {
+        return { match: 'exact', similarity: 1, opcodeSimilarity: 1, selectorSimilarity: 1 };
+    }
+
+    const opcodeSimilarity = a.opcodeHash === b.opcodeHash
+        ? 1
+        : a.minhash.filter((value, index) => value === b.minhash[index]).length / MINHASH_SIZE;
+    const shared = a.selectors.filter(selector => b.selectors.includes(selector)).length;
+    const union = new Set([...a.selectors, ...b.selectors]).size;
+    const selectorSimilarity = union > 0 ? shared / union : 1;
+
+    return {
+        match: a.opcodeHash === b.opcodeHash ? 'opcodes' : 'fuzzy',
+        similarity: round(OPCODE_WEIGHT * opcodeSimilarity + (1 - OPCODE_WEIGHT) * selectorSimilarity),
+        opcodeSimilarity: round(opcodeSimilarity),
+        selectorSimilarity: round(selectorSimilarity),
+    };
+}
+
+// The logic a contract runs, read behind a proxy like an audit reads it
+async function fingerprintContract(provider, address) {
+    const proxy = await resolveProxy(provider, address);
+    const codeAddress = proxy.isProxy && proxy.implementation ? proxy.implementation : address;
+    const fingerprint = fingerprintBytecode(await provider.getCode(codeAddress));
+    if (!fingerprint) {
+        return { error: "Invalid address is not a contract" };
+    }
+    return { codeAddress, fingerprint };
+}
+
+class FingerprintDatabase {
+    constructor(path) {
+        this.db = new Database(path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+    }
+
+    // Adding a contract again replaces its label and fingerprint
+    add(chain, address, { label, verdict, note }, fingerprint) {
+        const info = this.db.prepare(`
+            INSERT OR REPLACE INTO fingerprints (chain, address, label, verdict, note, exact_hash, opcode_hash, selectors, minhash, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            chain,
+            address.toLowerCase(),
+            label,
+            verdict,
+            note || null,
+            fingerprint.exactHash,
+            fingerprint.opcodeHash,
+            JSON.stringify(fingerprint.selectors),
+            JSON.stringify(fingerprint.minhash),
+            Date.now()
+        );
+        return this.get(info.lastInsertRowid);
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM fingerprints WHERE id = ?').get(id);
+        return row ? toEntry(row) : null;
+    }
+
+    list({ verdict } = {}) {
+        const rows = verdict
+            ? this.db.prepare('SELECT * FROM fingerprints WHERE verdict = ? ORDER BY id').all(verdict)
+            : this.db.prepare('SELECT * FROM fingerprints ORDER BY id').all();
+        return rows.map(toEntry);
+    }
+
+    remove(id) {
+        return this.db.prepare('DELETE FROM fingerprints WHERE id = ?').run(id).changes > 0;
+    }
+
+    // The most similar labelled contract; on a tie a malicious label wins
+    closest(fingerprint) {
+        let best = null;
+        for (const row of this.db.prepare('SELECT * FROM fingerprints').iterate()) {
+            const entry = toEntry(row);
+            const comparison = compareFingerprints(fingerprint, {
+                exactHash: row.exact_hash,
+                opcodeHash: row.opcode_hash,
+                selectors: JSON.parse(row.selectors),
+                minhash: JSON.parse(row.minhash),
+            });
+            const better = !best
+                || comparison.similarity > best.similarity
+                || (comparison.similarity === best.similarity && entry.verdict === 'malicious' && best.entry.verdict !== 'malicious');
+            if (better) {
+                best = { entry, ...comparison };
+            }
+        }
+        return best;
+    }
+}
+
+function toEntry(row) {
+    return {
+        id: row.id,
+        chain: row.chain,
+        address: row.address,
+        label: row.label,
+        verdict: row.verdict,
+        note: row.note,
+        exactHash: row.exact_hash,
+        opcodeHash: row.opcode_hash,
+        createdAt: new Date(row.created_at).toISOString(),
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    VERDICTS,
+    FingerprintDatabase,
+    fingerprintBytecode,
+    fingerprintContract,
+    compareFingerprints,
+};
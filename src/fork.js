@@ -0,0 +1,178 @@
+// Helpers for running transactions against a forked or local dev chain
+// (anvil, hardhat node, ganache). Every session is wrapped in a snapshot so
+// the fork is left exactly as we found it.
+const { ethers } = require('ethers');
+
+const ROUTER_V2_ABI = [
+    'function WETH() view returns (address)',
+    'function factory() view returns (address)',
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+];
+
+// Error(string) and Panic(uint256) selectors used by solidity reverts
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+const GAS_BUFFER_PERCENT = 150;
+
+// Sessions on the same fork take turns, one session's revert would undo
+// the trades of another running alongside it
+const forkTurns = new Map();
+
+class ForkSession {
+    constructor(forkRpcUrl) {
+        this.forkRpcUrl = forkRpcUrl;
+        this.provider = new ethers.providers.JsonRpcProvider(forkRpcUrl);
+        this.snapshotId = null;
+        this.release = null;
+    }
+
+    async start() {
+        const previous = forkTurns.get(this.forkRpcUrl) || Promise.resolve();
+        const turn = new Promise(resolve => {
+            this.release = resolve;
+        });
+        forkTurns.set(this.forkRpcUrl, previous.then(() => turn));
+        await previous;
+
+        try {
+            this.snapshotId = await this.provider.send('evm_snapshot', []);
+        } catch (error) {
+            await this.end();
+            throw error;
+        }
+        return this;
+    }
+
+    async end() {
+        if (this.snapshotId !== null) {
+            try {
+                await this.provider.send('evm_revert', [this.snapshotId]);
+            } catch (error) {
+                console.error('Error reverting fork snapshot:', error.message);
+            }
+            this.snapshotId = null;
+        }
+        if (this.release) {
+            this.release();
+            this.release = null;
+        }
+    }
+
+    // Random throwaway wallet with native balance, signing locally so the
+    // fork does not need to support account impersonation
+    async createWallet(balance = ethers.utils.parseEther('1000000')) {
+        const wallet = ethers.Wallet.createRandom().connect(this.provider);
+        await this.setBalance(wallet.address, balance);
+        return wallet;
+    }
+
+    async setBalance(address, balance) {
+        const value = ethers.utils.hexValue(ethers.BigNumber.from(balance));
+        // anvil and hardhat both answer to hardhat_*, ganache uses evm_*
+        const methods = ['hardhat_setBalance', 'anvil_setBalance', 'evm_setAccountBalance'];
+
+        for (const method of methods) {
+            try {
+                await this.provider.send(method, [address, value]);
+                return;
+            } catch {
+                // Try the next flavour of the cheatcode
+            }
+        }
+        throw new Error('Fork RPC does not support setting account balances');
+    }
+
+    // Runs inside a snapshot of its own, the session carries on from the
+    // state before it
+    async isolate(run) {
+        const snapshotId = await this.provider.send('evm_snapshot', []);
+        try {
+            return await run();
+        } finally {
+            await this.provider.send('evm_revert', [snapshotId]);
+        }
+    }
+
+    async deadline() {
+        const block = await this.provider.getBlock('latest');
+        return block.timestamp + 3600;
+    }
+}
+
+// Runs a transaction as a static call first to capture the revert reason,
+// then sends it for real. Never throws.
+async function tryTransaction(contract, method, args, overrides = {}) {
+    let gasLimit;
+    try {
+        await contract.callStatic[method](...args, overrides);
+        gasLimit = await contract.estimateGas[method](...args, overrides);
+    } catch (error) {
+        return { success: false, revertReason: getRevertReason(error) };
+    }
+
+    try {
+        // Dev nodes tend to underestimate transfers with storage refunds
+        const tx = await contract[method](...args, {
+            ...overrides,
+            gasLimit: gasLimit.mul(GAS_BUFFER_PERCENT).div(100),
+        });
+        const receipt = await tx.wait();
+        return { success: receipt.status === 1, receipt, revertReason: null };
+    } catch (error) {
+        return { success: false, revertReason: getRevertReason(error) };
+    }
+}
+
+function getRevertReason(error) {
+    const data = findRevertData(error);
+
+    if (data && data.startsWith(ERROR_SELECTOR)) {
+        try {
+            return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+        } catch {
+            // Fall through to the generic message
+        }
+    }
+    if (data && data.startsWith(PANIC_SELECTOR)) {
+        try {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0];
+            return `Panic(0x${code.toNumber().toString(16)})`;
+        } catch {
+            // Fall through to the generic message
+        }
+    }
+    if (data === '0x') {
+        return 'Reverted without reason';
+    }
+
+    return error.reason || (error.error && error.error.message) || error.message || 'Unknown revert';
+}
+
+// ethers v5 buries revert data at different depths depending on the backend,
+// and the outer layers often only carry an empty '0x'
+function findRevertData(error) {
+    let found = null;
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth++) {
+        const data = typeof current.data === 'string'
+            ? current.data
+            : current.data && current.data.data;
+        if (typeof data === 'string' && data.startsWith('0x')) {
+            if (data.length > 2) {
+                return data;
+            }
+            found = data;
+        }
+        current = current.error;
+    }
+    return found;
+}
+
+module.exports = {
+    ROUTER_V2_ABI,
+    ForkSession,
+    tryTransaction,
+    getRevertReason,
+};
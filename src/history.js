@@ -0,0 +1,149 @@
+// Audit history in SQLite: every audit keyed by chain, token and block, so
+// repeat requests can be served from cache and audits can be compared
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS audits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        score INTEGER,
+        grade TEXT,
+        result TEXT NOT NULL,
+        UNIQUE (chain, token_address, block_number)
+    );
+    CREATE INDEX IF NOT EXISTS audits_by_token ON audits (chain, token_address, created_at);
+`;
+
+// Values whose change between two audits is worth calling out on its own
+const WATCHED_FIELDS = [
+    'ownerAddress',
+    'totalSupply',
+    'proxy.implementation',
+    'proxy.admin.address',
+    'taxes.buy',
+    'taxes.sell',
+    'taxes.transfer',
+    'liquidity.totalDepthUsd',
+    'deployer.verdict',
+    'risk.score',
+    'risk.grade',
+];
+
+class AuditHistory {
+    constructor(path) {
+        this.db = new Database(path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+    }
+
+    // A second audit at the same block replaces the first
+    save(chain, result) {
+        const info = this.db.prepare(`
+            INSERT OR REPLACE INTO audits (chain, token_address, block_number, created_at, score, grade, result)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            chain,
+            result.tokenAddress.toLowerCase(),
+            result.blockNumber,
+            Date.now(),
+            result.risk ? result.risk.score : null,
+            result.risk ? result.risk.grade : null,
+            JSON.stringify(result)
+        );
+        return this.get(info.lastInsertRowid);
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM audits WHERE id = ?').get(id);
+        return row ? toAudit(row) : null;
+    }
+
+    latest(chain, tokenAddress) {
+        const row = this.db.prepare(`
+            SELECT * FROM audits WHERE chain = ? AND token_address = ?
+            ORDER BY created_at DESC, id DESC LIMIT 1
+        `).get(chain, tokenAddress.toLowerCase());
+        return row ? toAudit(row) : null;
+    }
+
+    // Newest first, without the full results
+    list(chain, tokenAddress, limit = 50) {
+        return this.db.prepare(`
+            SELECT id, chain, token_address, block_number, created_at, score, grade FROM audits
+            WHERE chain = ? AND token_address = ?
+            ORDER BY created_at DESC, id DESC LIMIT ?
+        `).all(chain, tokenAddress.toLowerCase(), limit).map(toSummary);
+    }
+}
+
+function toSummary(row) {
+    return {
+        id: row.id,
+        chain: row.chain,
+        tokenAddress: row.token_address,
+        blockNumber: row.block_number,
+        createdAt: new Date(row.created_at).toISOString(),
+        score: row.score,
+        grade: row.grade,
+    };
+}
+
+function toAudit(row) {
+    return {
+        ...toSummary(row),
+        ageMs: Date.now() - row.created_at,
+        result: JSON.parse(row.result),
+    };
+}
+
+// Findings that appeared, went away or changed their evidence, plus the
+// watched values that moved (owner transferred, fee raised, implementation swapped)
+function diffAudits(before, after) {
+    const key = finding => `${finding.check}:${finding.id}`;
+    const beforeFindings = new Map(before.result.findings.map(finding => [key(finding), finding]));
+    const afterFindings = new Map(after.result.findings.map(finding => [key(finding), finding]));
+
+    const appeared = [...afterFindings.values()].filter(finding => !beforeFindings.has(key(finding)));
+    const resolved = [...beforeFindings.values()].filter(finding => !afterFindings.has(key(finding)));
+    const changed = [...afterFindings.values()]
+        .filter(finding => beforeFindings.has(key(finding)))
+        .filter(finding => JSON.stringify(finding.evidence) !== JSON.stringify(beforeFindings.get(key(finding)).evidence))
+        .map(finding => ({
+            id: finding.id,
+            check: finding.check,
+            before: beforeFindings.get(key(finding)).evidence,
+            after: finding.evidence,
+        }));
+
+    const fields = WATCHED_FIELDS
+        .map(field => ({ field, before: readPath(before.result, field), after: readPath(after.result, field) }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    return {
+        from: summaryOf(before),
+        to: summaryOf(after),
+        changed: appeared.length > 0 || resolved.length > 0 || changed.length > 0 || fields.length > 0,
+        appeared,
+        resolved,
+        evidenceChanged: changed,
+        fields,
+    };
+}
+
+function summaryOf(audit) {
+    const { id, blockNumber, createdAt, score, grade } = audit;
+    return { id, blockNumber, createdAt, score, grade };
+}
+
+function readPath(object, path) {
+    const value = path.split('.').reduce((current, part) => (current == null ? undefined : current[part]), object);
+    return value === undefined ? null : value;
+}
+
+module.exports = {
+    AuditHistory,
+    diffAudits,
+};
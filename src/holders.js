@@ -0,0 +1,195 @@
+// Holder distribution rebuilt from Transfer logs: who holds the supply, how
+// concentrated it is, and how much of it sits in burn addresses or contracts
+const { ethers } = require('ethers');
+const { fetchLogs } = require('./logs');
+const { withDefaults } = require('./utils');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const BURN_ADDRESSES = [
+    '0x0000000000000000000000000000000000000000',
+    '0x000000000000000000000000000000000000dEaD',
+    '0x0000000000000000000000000000000000000369',
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address account) view returns (uint256)',
+];
+
+const PAIR_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+];
+
+const DEFAULT_OPTIONS = {
+    // A single wallet above this percentage of supply is flagged
+    concentrationThreshold: 5,
+    // Holders classified as wallet/contract, each costs a getCode call
+    classifyTop: 50,
+    // Transfer logs read at most this far back; an older token's holders are
+    // those active in that window, at their current balance
+    lookbackBlocks: 1000000,
+};
+
+async function analyzeHolders(provider, tokenAddress, totalSupply, context = {}, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const toBlock = await provider.getBlockNumber();
+    const deploymentBlock = settings.fromBlock !== undefined
+        ? settings.fromBlock
+        : await findDeploymentBlock(provider, tokenAddress, context.creationTxHash);
+    const fromBlock = Math.max(deploymentBlock, toBlock - settings.lookbackBlocks + 1);
+    // Holders that have not moved since the window started are missed
+    const complete = fromBlock === deploymentBlock;
+
+    const balances = complete
+        ? await rebuildBalances(provider, tokenAddress, fromBlock, toBlock, settings)
+        : await readActiveBalances(provider, tokenAddress, fromBlock, toBlock, settings);
+    const holders = [...balances.entries()]
+        .filter(([, balance]) => balance.gt(0))
+        .map(([address, balance]) => ({ address, balance }))
+        .sort((a, b) => (b.balance.gt(a.balance) ? 1 : b.balance.lt(a.balance) ? -1 : 0));
+
+    const supply = ethers.BigNumber.from(totalSupply);
+    const isBurn = address => BURN_ADDRESSES.some(burn => burn.toLowerCase() === address.toLowerCase());
+    const balanceOf = address => (address && balances.get(ethers.utils.getAddress(address))) || ethers.constants.Zero;
+
+    // Burned tokens are not really held by anyone, keep them out of the top lists
+    const circulating = holders.filter(holder => !isBurn(holder.address));
+    const topHolders = await Promise.all(
+        circulating.slice(0, settings.classifyTop).map(async holder => ({
+            address: holder.address,
+            balance: holder.balance.toString(),
+            share: share(holder.balance, supply),
+            type: await classifyHolder(provider, holder.address, tokenAddress),
+        }))
+    );
+
+    const sum = list => list.reduce((total, holder) => total.add(holder.balance), ethers.constants.Zero);
+    const burned = sum(holders.filter(holder => isBurn(holder.address)));
+    const sumType = type => topHolders
+        .filter(holder => holder.type === type)
+        .reduce((total, holder) => total + holder.share, 0);
+
+    const concentrated = topHolders.filter(holder =>
+        holder.type === 'wallet' && holder.share > settings.concentrationThreshold
+    );
+
+    return {
+        scannedBlocks: { fromBlock, toBlock, complete },
+        holderCount: circulating.length,
+        top10Share: share(sum(circulating.slice(0, 10)), supply),
+        top50Share: share(sum(circulating.slice(0, 50)), supply),
+        burnedShare: share(burned, supply),
+        owner: context.owner
+            ? { address: context.owner, share: share(balanceOf(context.owner), supply) }
+            : null,
+        deployer: context.deployer
+            ? { address: context.deployer, share: share(balanceOf(context.deployer), supply) }
+            : null,
+        // Of the classified top holders
+        walletShare: round(sumType('wallet')),
+        pairShare: round(sumType('pair')),
+        contractShare: round(sumType('contract')),
+        concentrationThreshold: settings.concentrationThreshold,
+        concentratedWallets: concentrated.map(holder => ({ address: holder.address, share: holder.share })),
+        topHolders,
+    };
+}
+
+async function rebuildBalances(provider, tokenAddress, fromBlock, toBlock, options = {}) {
+    const balances = new Map();
+    const credit = (address, amount) => {
+        balances.set(address, (balances.get(address) || ethers.constants.Zero).add(amount));
+    };
+
+    const logs = await fetchLogs(provider, { address: tokenAddress, topics: [TRANSFER_TOPIC] }, fromBlock, toBlock, options);
+    for (const log of logs) {
+        // ERC721-style Transfer events index the token id and carry no data
+        if (log.topics.length !== 3 || log.data === '0x') {
+            continue;
+        }
+        const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+        const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+        const value = ethers.BigNumber.from(log.data);
+        // Mints come from the zero address, only what is sent to it counts as burned
+        if (from !== ethers.constants.AddressZero) {
+            credit(from, value.mul(-1));
+        }
+        credit(to, value);
+    }
+    return balances;
+}
+
+// Current balances of every address in a Transfer within the range; the
+// logs alone only give what moved in it
+async function readActiveBalances(provider, tokenAddress, fromBlock, toBlock, options = {}) {
+    const moved = await rebuildBalances(provider, tokenAddress, fromBlock, toBlock, options);
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const addresses = [...moved.keys()];
+    const balances = await Promise.all(addresses.map(address => token.balanceOf(address)));
+    return new Map(addresses.map((address, index) => [address, balances[index]]));
+}
+
+// Creation block from the explorer's creation tx, else a binary search over
+// getCode (needs an archive node), else genesis
+async function findDeploymentBlock(provider, address, creationTxHash) {
+    if (creationTxHash) {
+        const transaction = await provider.getTransaction(creationTxHash).catch(() => null);
+        if (transaction && transaction.blockNumber) {
+            return transaction.blockNumber;
+        }
+    }
+
+    try {
+        let low = 0;
+        let high = await provider.getBlockNumber();
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const code = await provider.getCode(address, middle);
+            if (code === '0x') {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    } catch (error) {
+        console.error('Error finding deployment block:', error.message);
+        return 0;
+    }
+}
+
+async function classifyHolder(provider, address, tokenAddress) {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        return 'wallet';
+    }
+
+    const pair = new ethers.Contract(address, PAIR_ABI, provider);
+    const [token0, token1] = await Promise.all([
+        pair.token0().catch(() => null),
+        pair.token1().catch(() => null),
+    ]);
+    const pairsToken = [token0, token1].some(token => token && token.toLowerCase() === tokenAddress.toLowerCase());
+    return pairsToken ? 'pair' : 'contract';
+}
+
+function share(amount, supply) {
+    if (supply.isZero()) {
+        return 0;
+    }
+    return amount.mul(1000000).div(supply).toNumber() / 10000;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    BURN_ADDRESSES,
+    TRANSFER_TOPIC,
+    analyzeHolders,
+    rebuildBalances,
+    findDeploymentBlock,
+    classifyHolder,
+};
@@ -0,0 +1,248 @@
+// Simulation-based honeypot detection: buy the token through the DEX router
+// on a fork, move some of it to another wallet, then try to sell the rest back.
+// The one trade simulation of an audit: the taxes are read from its steps and
+// options.probe runs further tests on the bought tokens
+const { ethers } = require('ethers');
+const { ROUTER_V2_ABI, ForkSession, tryTransaction } = require('./fork');
+const { withDefaults } = require('./utils');
+
+const TOKEN_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function balanceOf(address) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+const FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) view returns (address)',
+];
+
+const DEFAULT_OPTIONS = {
+    buyAmount: ethers.utils.parseEther('1'),
+    // Losing more than this much of the quoted sell output counts as a honeypot
+    maxSellLossPercent: 50,
+    // async (session, wallet, bought, buyError) -> result, run right after the buy
+    probe: null,
+};
+
+// Resolves to { verdict, probe }: the honeypot verdict and what options.probe
+// returned, null when it did not run
+async function simulateTrades(forkRpcUrl, tokenAddress, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+
+    if (!forkRpcUrl) {
+        return { verdict: unknownVerdict('No fork RPC configured'), probe: null };
+    }
+    // The probe still has tests that need no tokens
+    if (!settings.router && !settings.probe) {
+        return { verdict: unknownVerdict('No DEX router configured'), probe: null };
+    }
+
+    const session = new ForkSession(forkRpcUrl);
+    try {
+        await session.start();
+    } catch (error) {
+        return { verdict: unknownVerdict(`Fork RPC unavailable: ${error.message}`), probe: null };
+    }
+
+    try {
+        return await runSimulation(session, tokenAddress, settings);
+    } catch (error) {
+        console.error('Error simulating honeypot:', error);
+        return { verdict: unknownVerdict(`Simulation failed: ${error.message}`), probe: null };
+    } finally {
+        await session.end();
+    }
+}
+
+async function runSimulation(session, tokenAddress, settings) {
+    const trader = await session.createWallet();
+    const receiver = ethers.Wallet.createRandom().address;
+
+    const verdict = {
+        status: 'unknown',
+        isHoneypot: null,
+        reason: null,
+        router: settings.router,
+        buy: null,
+        transfer: null,
+        sell: null,
+        roundTripLossPercent: null,
+    };
+
+    if (!settings.router) {
+        verdict.reason = 'No DEX router configured';
+        return { verdict, probe: await runProbe(session, settings, trader, ethers.constants.Zero, verdict.reason) };
+    }
+
+    const router = new ethers.Contract(settings.router, ROUTER_V2_ABI, trader);
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, trader);
+    const wrappedNative = settings.wrappedNative || await router.WETH();
+    const buyPath = [wrappedNative, tokenAddress];
+    const sellPath = [tokenAddress, wrappedNative];
+
+    // Buy
+    const expectedBuy = await quote(router, settings.buyAmount, buyPath);
+    if (!expectedBuy) {
+        verdict.reason = 'No liquidity for the token on the configured router';
+        return { verdict, probe: await runProbe(session, settings, trader, ethers.constants.Zero, verdict.reason) };
+    }
+
+    const boughtBefore = await token.balanceOf(trader.address);
+    const buyResult = await tryTransaction(
+        router,
+        'swapExactETHForTokensSupportingFeeOnTransferTokens',
+        [0, buyPath, trader.address, await session.deadline()],
+        { value: settings.buyAmount }
+    );
+    const bought = buyResult.success
+        ? (await token.balanceOf(trader.address)).sub(boughtBefore)
+        : ethers.constants.Zero;
+
+    verdict.buy = stepResult(buyResult, expectedBuy, bought);
+    const buyError = !buyResult.success || bought.isZero() ? buyResult.revertReason || 'Buy returned no tokens' : null;
+    const probe = await runProbe(session, settings, trader, bought, buyError);
+    if (buyError) {
+        verdict.status = 'buy_failed';
+        verdict.reason = buyError;
+        return { verdict, probe };
+    }
+
+    // Wallet-to-wallet transfer of a tenth of the bag
+    const transferAmount = bought.div(10);
+    const transferResult = await tryTransaction(token, 'transfer', [receiver, transferAmount]);
+    const transferred = transferResult.success
+        ? await token.balanceOf(receiver)
+        : ethers.constants.Zero;
+    verdict.transfer = stepResult(transferResult, transferAmount, transferred);
+
+    // Sell everything that is left
+    const sellAmount = await token.balanceOf(trader.address);
+    const approveResult = await tryTransaction(token, 'approve', [settings.router, sellAmount]);
+    const expectedSell = await quote(router, sellAmount, sellPath);
+
+    let sellResult = approveResult;
+    let sold = ethers.constants.Zero;
+    let delivered = ethers.constants.Zero;
+    if (approveResult.success) {
+        const nativeBefore = await trader.getBalance();
+        sellResult = await tryTransaction(
+            router,
+            'swapExactTokensForETHSupportingFeeOnTransferTokens',
+            [sellAmount, 0, sellPath, trader.address, await session.deadline()]
+        );
+        if (sellResult.success) {
+            // Older dev nodes leave effectiveGasPrice out of the receipt
+            const gasPrice = sellResult.receipt.effectiveGasPrice
+                || (await trader.provider.getTransaction(sellResult.receipt.transactionHash)).gasPrice;
+            const gasCost = sellResult.receipt.gasUsed.mul(gasPrice);
+            sold = (await trader.getBalance()).add(gasCost).sub(nativeBefore);
+            delivered = await deliveredToPair(router, token, sellResult.receipt, trader.address, wrappedNative);
+        }
+    }
+    verdict.sell = {
+        ...stepResult(sellResult, expectedSell, sold),
+        // Tokens sent and tokens that reached the pair, for the sell tax
+        sent: sellAmount.toString(),
+        delivered: delivered ? delivered.toString() : null,
+    };
+
+    // Native spent on the part of the bag that was sold, against native received
+    const spentOnSold = settings.buyAmount.mul(sellAmount).div(bought);
+    verdict.roundTripLossPercent = percentLoss(spentOnSold, sold);
+
+    if (!sellResult.success) {
+        verdict.status = 'honeypot';
+        verdict.isHoneypot = true;
+        verdict.reason = `Sell reverted: ${sellResult.revertReason}`;
+    } else if (verdict.sell.lossPercent !== null && verdict.sell.lossPercent >= settings.maxSellLossPercent) {
+        verdict.status = 'honeypot';
+        verdict.isHoneypot = true;
+        verdict.reason = `Sell lost ${verdict.sell.lossPercent}% of the quoted output`;
+    } else if (!transferResult.success || transferred.isZero()) {
+        // Sellable, but holders cannot move the token between wallets
+        verdict.status = 'transfer_blocked';
+        verdict.isHoneypot = false;
+        verdict.reason = transferResult.success
+            ? 'Transfer to another wallet delivered nothing'
+            : `Transfer to another wallet reverted: ${transferResult.revertReason}`;
+    } else {
+        verdict.status = 'ok';
+        verdict.isHoneypot = false;
+    }
+
+    return { verdict, probe };
+}
+
+// In a snapshot of its own, so the transfer and sell start from the state the buy left
+function runProbe(session, settings, wallet, bought, buyError) {
+    if (!settings.probe) {
+        return null;
+    }
+    return session.isolate(() => settings.probe(session, wallet, bought, buyError));
+}
+
+// What the pair received from the seller, read from the Transfer events because
+// fee tokens often swap their collected fees through the same pair; null
+// when the pair cannot be found
+async function deliveredToPair(router, token, receipt, seller, wrappedNative) {
+    let pair;
+    try {
+        const factory = new ethers.Contract(await router.factory(), FACTORY_ABI, router.provider);
+        pair = await factory.getPair(token.address, wrappedNative);
+    } catch {
+        return null;
+    }
+
+    return receipt.logs
+        .filter(log => log.address.toLowerCase() === token.address.toLowerCase())
+        .map(log => {
+            try {
+                return token.interface.parseLog(log);
+            } catch {
+                return null;
+            }
+        })
+        .filter(event => event &&
+            event.args.from.toLowerCase() === seller.toLowerCase() &&
+            event.args.to.toLowerCase() === pair.toLowerCase())
+        .reduce((total, event) => total.add(event.args.value), ethers.constants.Zero);
+}
+
+async function quote(router, amountIn, path) {
+    try {
+        const amounts = await router.getAmountsOut(amountIn, path);
+        return amounts[amounts.length - 1];
+    } catch {
+        return null;
+    }
+}
+
+function stepResult(result, expected, received) {
+    return {
+        success: result.success,
+        revertReason: result.revertReason,
+        expected: expected ? expected.toString() : null,
+        received: received.toString(),
+        lossPercent: expected ? percentLoss(expected, received) : null,
+    };
+}
+
+function percentLoss(expected, received) {
+    if (!expected || expected.isZero()) {
+        return null;
+    }
+    return expected.sub(received).mul(10000).div(expected).toNumber() / 100;
+}
+
+function unknownVerdict(reason) {
+    return {
+        status: 'unknown',
+        isHoneypot: null,
+        reason,
+    };
+}
+
+module.exports = {
+    simulateTrades,
+};
@@ -0,0 +1,132 @@
+// In-memory job queue for batch audits: one job per request, every token a
+// task, all tasks sharing a bounded pool of workers with a per-task timeout
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { withDefaults } = require('./utils');
+
+const DEFAULT_OPTIONS = {
+    concurrency: 4,
+    timeoutMs: 120000,
+    // Finished jobs are forgotten after this long
+    retentionMs: 60 * 60 * 1000,
+};
+
+class Job extends EventEmitter {
+    constructor(items) {
+        super();
+        this.id = crypto.randomUUID();
+        this.createdAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.entries = items.map(item => ({ item, status: 'queued', result: null, error: null }));
+    }
+
+    get done() {
+        return this.entries.every(entry => ['done', 'failed', 'timeout'].includes(entry.status));
+    }
+
+    progress() {
+        const count = status => this.entries.filter(entry => entry.status === status).length;
+        return {
+            total: this.entries.length,
+            queued: count('queued'),
+            running: count('running'),
+            done: count('done'),
+            failed: count('failed'),
+            timeout: count('timeout'),
+        };
+    }
+
+    snapshot() {
+        return {
+            id: this.id,
+            status: this.done ? 'done' : 'running',
+            createdAt: this.createdAt,
+            finishedAt: this.finishedAt,
+            progress: this.progress(),
+            entries: this.entries,
+        };
+    }
+}
+
+class JobQueue {
+    constructor(options = {}) {
+        this.settings = withDefaults(DEFAULT_OPTIONS, options);
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    // worker(item) resolves to the entry's result or throws to fail it
+    create(items, worker) {
+        const job = new Job(items);
+        this.jobs.set(job.id, job);
+        for (const entry of job.entries) {
+            this.pending.push({ job, entry, worker });
+        }
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    pump() {
+        while (this.running < this.settings.concurrency && this.pending.length > 0) {
+            const task = this.pending.shift();
+            this.running++;
+            this.run(task).finally(() => {
+                this.running--;
+                this.pump();
+            });
+        }
+    }
+
+    // At the deadline the entry is reported as timed out and its result will be
+    // dropped, but the slot is only freed once the worker settles so a pool of
+    // slow audits never grows past the concurrency
+    async run({ job, entry, worker }) {
+        entry.status = 'running';
+        job.emit('progress', job.progress());
+
+        const timer = setTimeout(() => {
+            this.finish(job, entry, { status: 'timeout', error: new TimeoutError(this.settings.timeoutMs).message });
+        }, this.settings.timeoutMs);
+        try {
+            this.finish(job, entry, { status: 'done', result: await worker(entry.item) });
+        } catch (error) {
+            this.finish(job, entry, { status: 'failed', error: error.message });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    finish(job, entry, { status, result = null, error = null }) {
+        // Already timed out
+        if (entry.status !== 'running') {
+            return;
+        }
+        entry.status = status;
+        entry.result = result;
+        entry.error = error;
+
+        job.emit('entry', entry);
+        job.emit('progress', job.progress());
+        if (job.done) {
+            job.finishedAt = new Date().toISOString();
+            job.emit('done', job.snapshot());
+            setTimeout(() => this.jobs.delete(job.id), this.settings.retentionMs).unref();
+        }
+    }
+}
+
+class TimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Timed out after ${timeoutMs / 1000}s`);
+        this.name = 'TimeoutError';
+    }
+}
+
+module.exports = {
+    JobQueue,
+};
@@ -0,0 +1,188 @@
+// Trading limits as the chain holds them: max transaction, max sell, max
+// wallet, cooldowns, trading switches and launch blocks, found through getters
+// in the ABI, private variables of the verified source read from storage, or
+// getter names common enough to try on unverified contracts
+const { ethers } = require('ethers');
+const { withDefaults } = require('./utils');
+
+// Checked in order, the first pattern a name matches gives its kind
+const LIMIT_KINDS = [
+    ['maxSell', /max\w*sell/i],
+    ['maxBuy', /max\w*buy/i],
+    ['maxWallet', /max\w*(wallet|holding|balance)/i],
+    ['maxTx', /max\w*(tx|txn|transaction|transfer)/i],
+    ['cooldown', /cooldown|(buy|sell|trade|transfer)\w*delay/i],
+    ['launchBlock', /launch\w*(block|time|at)|(trading|start|open)\w*(block|time)/i],
+    ['tradingEnabled', /trad(e|ing)\w*(enabled|open|active|live|started|allowed)|^_?(is)?launched$/i],
+];
+// Exemption lists and setters are not limits
+const EXCLUDED_NAME = /exclu|exempt|^_?(set|update|remove|enable|disable)/i;
+// Limits kept as a share or a rate rather than an amount; reported raw only
+const RELATIVE_NAME = /percent|pct|bps|basis|rate|divisor|denominator/i;
+// Limits on an amount, reported against the supply
+const AMOUNT_KINDS = ['maxSell', 'maxBuy', 'maxWallet', 'maxTx'];
+// Amount limits that can stop a holder from selling
+const SELL_LIMIT_KINDS = ['maxTx', 'maxSell'];
+
+// Tried when there is no verified ABI
+const COMMON_GETTERS = [
+    '_maxTxAmount',
+    'maxTxAmount',
+    'maxTransactionAmount',
+    'maxSellAmount',
+    'maxBuyAmount',
+    '_maxWalletSize',
+    'maxWalletSize',
+    'maxWallet',
+    'maxWalletAmount',
+    'cooldownEnabled',
+    'transferDelayEnabled',
+    'tradingEnabled',
+    'tradingOpen',
+    'tradingActive',
+    'launchBlock',
+    'launchedAt',
+];
+
+const DEFAULT_OPTIONS = {
+    // A max transaction or max sell below this percentage of supply acts as a sell block
+    minSellLimitPercent: 0.01,
+};
+
+// token: { address, totalSupply, abi, sourceAnalyzer, contractName }, the last
+// three from the verified source when there is one
+async function readLimits(provider, token, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const candidates = findCandidates(token);
+    const supply = ethers.BigNumber.from(token.totalSupply);
+
+    const limits = (await Promise.all(candidates.map(candidate => readCandidate(provider, token.address, candidate))))
+        .filter(Boolean)
+        .map(limit => {
+            const amount = typeof limit.value === 'string' && !limit.relative && AMOUNT_KINDS.includes(limit.kind)
+                ? ethers.BigNumber.from(limit.value)
+                : null;
+            return {
+                ...limit,
+                // An amount limit of 0, or a slot never written, means no limit is set
+                unset: amount !== null && amount.isZero(),
+                percentOfSupply: amount !== null && !amount.isZero() ? percentOf(amount, supply) : null,
+            };
+        });
+
+    return {
+        minSellLimitPercent: settings.minSellLimitPercent,
+        tradingOpen: tradingOpen(limits),
+        sellBlocks: limits.filter(limit => SELL_LIMIT_KINDS.includes(limit.kind)
+            && limit.percentOfSupply !== null
+            && limit.percentOfSupply < settings.minSellLimitPercent),
+        limits,
+    };
+}
+
+function limitKind(name) {
+    if (EXCLUDED_NAME.test(name)) {
+        return null;
+    }
+    const match = LIMIT_KINDS.find(([, pattern]) => pattern.test(name));
+    return match ? match[0] : null;
+}
+
+// Getters from the verified ABI, private source variables by storage slot,
+// or the common getter names when neither is there
+function findCandidates(token) {
+    const candidates = [];
+    const seen = new Set();
+    const add = candidate => {
+        if (!seen.has(candidate.name)) {
+            seen.add(candidate.name);
+            candidates.push({ ...candidate, relative: RELATIVE_NAME.test(candidate.name) });
+        }
+    };
+
+    if (token.abi) {
+        const iface = new ethers.utils.Interface(token.abi);
+        for (const fragment of Object.values(iface.functions)) {
+            const kind = limitKind(fragment.name);
+            const output = fragment.outputs && fragment.outputs.length === 1 ? fragment.outputs[0].type : null;
+            if (kind && fragment.constant && fragment.inputs.length === 0 && (output === 'bool' || /^uint\d*$/.test(output))) {
+                add({ kind, name: fragment.name, via: 'getter', signature: fragment.format('full') });
+            }
+        }
+    } else {
+        for (const name of COMMON_GETTERS) {
+            add({ kind: limitKind(name), name, via: 'getter', signature: `function ${name}() view returns (uint256)`, guessed: true });
+        }
+    }
+
+    if (token.sourceAnalyzer && token.contractName) {
+        const layout = token.sourceAnalyzer.storageLayout(token.contractName);
+        for (const variable of token.sourceAnalyzer.stateVariables.values()) {
+            const kind = limitKind(variable.name);
+            const position = layout.get(variable.name);
+            if (kind && position && variable.visibility !== 'public' && (variable.isBool || variable.isInteger)) {
+                add({ kind, name: variable.name, via: 'storage', ...position, isBool: variable.isBool });
+            }
+        }
+    }
+    return candidates;
+}
+
+async function readCandidate(provider, tokenAddress, candidate) {
+    const { kind, name, via, relative } = candidate;
+    try {
+        if (via === 'storage') {
+            const word = ethers.BigNumber.from(await provider.getStorageAt(tokenAddress, candidate.slot));
+            const value = word.shr(candidate.offset * 8).mask(candidate.size * 8);
+            return {
+                kind,
+                name,
+                via,
+                relative,
+                slot: candidate.slot,
+                value: candidate.isBool ? !value.isZero() : value.toString(),
+            };
+        }
+
+        const contract = new ethers.Contract(tokenAddress, [candidate.signature], provider);
+        const value = await contract[name]();
+        if (typeof value === 'boolean') {
+            return { kind, name, via, relative, value };
+        }
+        // A guessed getter answers as uint256; flags come back as 0 or 1
+        const isFlag = candidate.guessed && (kind === 'tradingEnabled' || /enabled$/i.test(name)) && value.lte(1);
+        return { kind, name, via, relative, value: isFlag ? value.eq(1) : value.toString() };
+    } catch {
+        // Not exposed by this token
+        return null;
+    }
+}
+
+// Closed while any trading flag is off or, without flags, no launch block is set
+function tradingOpen(limits) {
+    const flags = limits.filter(limit => limit.kind === 'tradingEnabled' && typeof limit.value === 'boolean');
+    if (flags.length > 0) {
+        return flags.every(limit => limit.value);
+    }
+    const launches = limits.filter(limit => limit.kind === 'launchBlock' && typeof limit.value === 'string');
+    if (launches.length > 0) {
+        return launches.some(limit => limit.value !== '0');
+    }
+    return null;
+}
+
+// Capped at 100, some tokens lift a limit by setting it far above the supply
+function percentOf(value, supply) {
+    if (supply.isZero()) {
+        return null;
+    }
+    if (value.gte(supply)) {
+        return 100;
+    }
+    return value.mul(100000000).div(supply).toNumber() / 1000000;
+}
+
+module.exports = {
+    readLimits,
+    limitKind,
+};
@@ -0,0 +1,357 @@
+// Liquidity pools for the token on the configured V2/V3 factories: reserves,
+// USD depth, and who holds the LP tokens (burned, locked, deployer or other)
+const { ethers } = require('ethers');
+const { BURN_ADDRESSES, rebuildBalances, findDeploymentBlock } = require('./holders');
+const { withDefaults } = require('./utils');
+
+const V2_FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) view returns (address)',
+];
+
+const V2_PAIR_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function totalSupply() view returns (uint256)',
+];
+
+const V3_FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+];
+
+const V3_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function liquidity() view returns (uint128)',
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+];
+
+// Known locker layouts; each reads the locks a locker holds for one LP token
+const LOCKER_READERS = {
+    'uncx-v2': readUncxV2Locks,
+};
+// How many locks a contract holds on the LP token, for spotting unlisted lockers
+const LOCKER_COUNTERS = {
+    'uncx-v2': countUncxV2Locks,
+};
+
+const UNCX_V2_ABI = [
+    'function getNumLocksForToken(address lpToken) view returns (uint256)',
+    'function tokenLocks(address lpToken, uint256 index) view returns (uint256 lockDate, uint256 amount, uint256 initialAmount, uint256 unlockDate, uint256 lockID, address owner)',
+];
+
+const V3_FEE_TIERS = [100, 500, 2500, 3000, 10000];
+
+const DEFAULT_OPTIONS = {
+    // Deployer or owner holding more than this percentage of a pool's LP is flagged
+    deployerShareThreshold: 10,
+    // Pools where less than this percentage of LP is burned or locked are flagged
+    minLockedShare: 50,
+    // Contract holders of at least this percentage of the LP are probed for
+    // unlisted lockers, the largest first and at most maxLockerProbes of them
+    minLockerProbeShare: 1,
+    maxLockerProbes: 10,
+};
+
+async function analyzeLiquidity(provider, tokenAddress, dex, context = {}, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const quoteTokens = (dex.quoteTokens || [])
+        .filter(quote => quote.address.toLowerCase() !== tokenAddress.toLowerCase());
+    const prices = await quotePrices(provider, dex, quoteTokens);
+
+    const pools = [];
+    for (const factory of dex.factories) {
+        const found = factory.version === 'v3'
+            ? await findV3Pools(provider, factory, tokenAddress, quoteTokens)
+            : await findV2Pools(provider, factory, tokenAddress, quoteTokens);
+        pools.push(...found);
+    }
+
+    for (const pool of pools) {
+        const price = prices[pool.quote.address];
+        pool.quoteReserveUsd = price !== undefined ? round(pool.quoteReserve * price) : null;
+        // Both sides of a pool hold the same value, so depth is twice the quote side
+        pool.depthUsd = pool.quoteReserveUsd !== null ? round(pool.quoteReserveUsd * 2) : null;
+
+        if (pool.version === 'v2') {
+            pool.lpHolders = await analyzeLpHolders(provider, pool.address, dex.lockers || [], context, settings);
+        }
+    }
+
+    const flagged = pools.filter(pool => pool.lpHolders);
+    return {
+        poolCount: pools.length,
+        totalDepthUsd: round(pools.reduce((total, pool) => total + (pool.depthUsd || 0), 0)),
+        deployerShareThreshold: settings.deployerShareThreshold,
+        minLockedShare: settings.minLockedShare,
+        unlockedDeployerPools: flagged
+            .filter(pool => pool.lpHolders.deployerShare > settings.deployerShareThreshold)
+            .map(pool => ({ address: pool.address, dex: pool.dex, share: pool.lpHolders.deployerShare })),
+        unlockedPools: flagged
+            .filter(pool => pool.lpHolders.burnedShare + pool.lpHolders.lockedShare < settings.minLockedShare)
+            .map(pool => ({
+                address: pool.address,
+                dex: pool.dex,
+                share: round(pool.lpHolders.burnedShare + pool.lpHolders.lockedShare),
+            })),
+        pools,
+    };
+}
+
+async function findV2Pools(provider, factory, tokenAddress, quoteTokens) {
+    const factoryContract = new ethers.Contract(factory.address, V2_FACTORY_ABI, provider);
+    const pools = [];
+
+    for (const quote of quoteTokens) {
+        const pairAddress = await factoryContract.getPair(tokenAddress, quote.address).catch(() => ethers.constants.AddressZero);
+        if (pairAddress === ethers.constants.AddressZero) {
+            continue;
+        }
+
+        const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
+        const [token0, reserves, lpSupply] = await Promise.all([
+            pair.token0(),
+            pair.getReserves(),
+            pair.totalSupply(),
+        ]);
+        const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+        const [tokenReserve, quoteReserve] = tokenIsToken0
+            ? [reserves.reserve0, reserves.reserve1]
+            : [reserves.reserve1, reserves.reserve0];
+
+        pools.push({
+            dex: factory.name,
+            version: 'v2',
+            address: pairAddress,
+            quote: { symbol: quote.symbol, address: quote.address },
+            tokenReserve: tokenReserve.toString(),
+            quoteReserve: await toUnits(provider, quote.address, quoteReserve),
+            lpSupply: lpSupply.toString(),
+        });
+    }
+    return pools;
+}
+
+async function findV3Pools(provider, factory, tokenAddress, quoteTokens) {
+    const factoryContract = new ethers.Contract(factory.address, V3_FACTORY_ABI, provider);
+    const pools = [];
+
+    for (const quote of quoteTokens) {
+        for (const fee of factory.feeTiers || V3_FEE_TIERS) {
+            const poolAddress = await factoryContract.getPool(tokenAddress, quote.address, fee).catch(() => ethers.constants.AddressZero);
+            if (poolAddress === ethers.constants.AddressZero) {
+                continue;
+            }
+
+            // Concentrated liquidity has no reserves, the pool's token balances stand in for them
+            const pool = new ethers.Contract(poolAddress, V3_POOL_ABI, provider);
+            const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+            const quoteContract = new ethers.Contract(quote.address, ERC20_ABI, provider);
+            const [liquidity, tokenReserve, quoteReserve] = await Promise.all([
+                pool.liquidity(),
+                tokenContract.balanceOf(poolAddress),
+                quoteContract.balanceOf(poolAddress),
+            ]);
+
+            pools.push({
+                dex: factory.name,
+                version: 'v3',
+                address: poolAddress,
+                fee,
+                quote: { symbol: quote.symbol, address: quote.address },
+                tokenReserve: tokenReserve.toString(),
+                quoteReserve: await toUnits(provider, quote.address, quoteReserve),
+                liquidity: liquidity.toString(),
+                // Positions are NFTs held by the position manager, not fungible LP tokens
+                lpHolders: null,
+            });
+        }
+    }
+    return pools;
+}
+
+// USD price per quote token: stables are 1, others through their V2 pair with a stable
+async function quotePrices(provider, dex, quoteTokens) {
+    const prices = {};
+    const stables = quoteTokens.filter(quote => quote.stable);
+    for (const stable of stables) {
+        prices[stable.address] = 1;
+    }
+
+    const factories = dex.factories.filter(factory => factory.version !== 'v3');
+    for (const quote of quoteTokens.filter(token => !token.stable)) {
+        for (const stable of stables) {
+            const price = await priceInStable(provider, factories, quote.address, stable.address);
+            if (price !== null) {
+                prices[quote.address] = price;
+                break;
+            }
+        }
+    }
+    return prices;
+}
+
+async function priceInStable(provider, factories, tokenAddress, stableAddress) {
+    for (const factory of factories) {
+        try {
+            const factoryContract = new ethers.Contract(factory.address, V2_FACTORY_ABI, provider);
+            const pairAddress = await factoryContract.getPair(tokenAddress, stableAddress);
+            if (pairAddress === ethers.constants.AddressZero) {
+                continue;
+            }
+
+            const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
+            const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+            const [tokenReserve, stableReserve] = token0.toLowerCase() === tokenAddress.toLowerCase()
+                ? [reserves.reserve0, reserves.reserve1]
+                : [reserves.reserve1, reserves.reserve0];
+            const tokenAmount = await toUnits(provider, tokenAddress, tokenReserve);
+            if (tokenAmount > 0) {
+                return (await toUnits(provider, stableAddress, stableReserve)) / tokenAmount;
+            }
+        } catch (error) {
+            console.error('Error pricing quote token:', error.message);
+        }
+    }
+    return null;
+}
+
+// LP balances rebuilt from the pair's Transfer logs, split by who holds them
+async function analyzeLpHolders(provider, pairAddress, lockers, context, settings) {
+    const toBlock = await provider.getBlockNumber();
+    // The token's deployment bounds the scan; searching for the pair's own
+    // creation needs an archive node and otherwise starts from genesis
+    const fromBlock = context.deploymentBlock !== undefined
+        ? context.deploymentBlock
+        : await findDeploymentBlock(provider, pairAddress);
+    const balances = await rebuildBalances(provider, pairAddress, fromBlock, toBlock, settings);
+    const now = (await provider.getBlock(toBlock)).timestamp;
+
+    const lpSupply = [...balances.values()]
+        .filter(balance => balance.gt(0))
+        .reduce((total, balance) => total.add(balance), ethers.constants.Zero);
+
+    const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+    const holders = [...balances.entries()]
+        .filter(([, balance]) => balance.gt(0))
+        .map(([address, balance]) => ({ address, balance: balance.toString(), share: share(balance, lpSupply) }))
+        .sort((a, b) => b.share - a.share);
+
+    let probes = 0;
+    for (const holder of holders) {
+        const address = holder.address;
+        let locker = lockers.find(entry => sameAddress(entry.address, address));
+        if (BURN_ADDRESSES.some(burn => sameAddress(burn, address))) {
+            holder.type = 'burned';
+            continue;
+        }
+        if (!locker && sameAddress(address, context.deployer)) {
+            holder.type = 'deployer';
+            continue;
+        }
+        if (!locker && sameAddress(address, context.owner)) {
+            holder.type = 'owner';
+            continue;
+        }
+        if (!locker && holder.share >= settings.minLockerProbeShare && probes < settings.maxLockerProbes) {
+            probes++;
+            locker = await detectLocker(provider, address, pairAddress);
+        }
+
+        if (locker) {
+            holder.type = 'locker';
+            holder.locker = locker.name;
+            holder.locks = await readLocks(provider, locker, pairAddress);
+            holder.unlockTime = holder.locks && holder.locks.length > 0
+                ? Math.min(...holder.locks.map(lock => lock.unlockTime))
+                : null;
+            // A lock that has run out no longer protects anything; null when
+            // the locks could not be read, which is not counted as locked either
+            holder.expired = holder.unlockTime !== null ? holder.unlockTime <= now : null;
+        } else {
+            holder.type = 'other';
+        }
+    }
+
+    const sumShares = list => round(list.reduce((total, holder) => total + holder.share, 0));
+    const sumType = (...types) => sumShares(holders.filter(holder => types.includes(holder.type)));
+
+    return {
+        scannedBlocks: { fromBlock, toBlock },
+        burnedShare: sumType('burned'),
+        lockedShare: sumShares(holders.filter(holder => holder.type === 'locker' && holder.expired === false)),
+        deployerShare: sumType('deployer', 'owner'),
+        otherShare: sumType('other'),
+        holders,
+    };
+}
+
+async function readLocks(provider, locker, lpToken) {
+    const reader = LOCKER_READERS[locker.type];
+    if (!reader) {
+        return null;
+    }
+    try {
+        return await reader(provider, locker.address, lpToken);
+    } catch (error) {
+        console.error(`Error reading ${locker.name} locks:`, error.message);
+        return null;
+    }
+}
+
+// A holder missing from the configured lockers that answers like a known
+// locker layout and holds locks on this LP token, e.g. an UNCX deployment
+async function detectLocker(provider, address, lpToken) {
+    if (await provider.getCode(address) === '0x') {
+        return null;
+    }
+    for (const type of Object.keys(LOCKER_COUNTERS)) {
+        const count = await LOCKER_COUNTERS[type](provider, address, lpToken).catch(() => 0);
+        if (count > 0) {
+            return { name: `Unlisted ${type} locker`, address, type };
+        }
+    }
+    return null;
+}
+
+async function countUncxV2Locks(provider, lockerAddress, lpToken) {
+    const locker = new ethers.Contract(lockerAddress, UNCX_V2_ABI, provider);
+    return (await locker.getNumLocksForToken(lpToken)).toNumber();
+}
+
+// Read together, the calls share one multicall
+async function readUncxV2Locks(provider, lockerAddress, lpToken) {
+    const locker = new ethers.Contract(lockerAddress, UNCX_V2_ABI, provider);
+    const count = await countUncxV2Locks(provider, lockerAddress, lpToken);
+    const locks = await Promise.all(Array.from({ length: count }, (_, index) => locker.tokenLocks(lpToken, index)));
+    return locks.map(lock => ({
+        amount: lock.amount.toString(),
+        owner: lock.owner,
+        unlockTime: lock.unlockDate.toNumber(),
+    }));
+}
+
+async function toUnits(provider, tokenAddress, amount) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const decimals = await token.decimals().catch(() => 18);
+    return Number(ethers.utils.formatUnits(amount, decimals));
+}
+
+function share(amount, supply) {
+    if (supply.isZero()) {
+        return 0;
+    }
+    return amount.mul(1000000).div(supply).toNumber() / 10000;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    analyzeLiquidity,
+};
@@ -0,0 +1,39 @@
+// getLogs over long block ranges, split into chunks the RPC will accept
+const { withDefaults } = require('./utils');
+
+const DEFAULT_OPTIONS = {
+    // Blocks per getLogs request, halved whenever the RPC refuses a range
+    chunkSize: 50000,
+    minChunkSize: 500,
+};
+
+async function fetchLogs(provider, filter, fromBlock, toBlock, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const logs = [];
+
+    let chunkSize = settings.chunkSize;
+    for (let start = fromBlock; start <= toBlock;) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        let chunk;
+        try {
+            chunk = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+        } catch (error) {
+            // Too many results or too wide a range, retry the same window smaller
+            if (chunkSize <= settings.minChunkSize) {
+                throw error;
+            }
+            chunkSize = Math.max(settings.minChunkSize, Math.floor(chunkSize / 2));
+            continue;
+        }
+        // Not push(...chunk), a large chunk would overflow the call stack
+        for (const log of chunk) {
+            logs.push(log);
+        }
+        start = end + 1;
+    }
+    return logs;
+}
+
+module.exports = {
+    fetchLogs,
+};
@@ -0,0 +1,305 @@
+// Token price against a reference token from every source the chain has:
+// the configured subgraphs, V2 pair reserves and V3 spot and TWAP prices,
+// directly or through a quote token, and how far those sources disagree
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { withDefaults } = require('./utils');
+
+const V2_FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) view returns (address)',
+];
+
+const V2_PAIR_ABI = [
+    'function token0() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+];
+
+const V3_FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+];
+
+const V3_POOL_ABI = [
+    'function token0() view returns (address)',
+    'function liquidity() view returns (uint128)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+];
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+];
+
+const V3_FEE_TIERS = [100, 500, 2500, 3000, 10000];
+
+// Token prices in a common unit, read with variables rather than pasted into the query
+const SUBGRAPH_QUERY = `
+    query TokenPrices($ids: [ID!]) {
+        tokens(where: { id_in: $ids }) {
+            id
+            %FIELD%
+        }
+    }
+`;
+
+const DEFAULT_OPTIONS = {
+    // Sources further apart than this percentage, or a pegged token further
+    // from its peg, are flagged as a depeg
+    maxSpreadPercent: 2,
+    // Window of the V3 time-weighted price; pools without that much history give only spot
+    twapSeconds: 1800,
+    // Time allowed per subgraph request
+    subgraphTimeoutMs: 10000,
+    // Pools with less liquidity than this percentage of the deepest one are
+    // cheap to push around and left out of the price
+    minDepthPercent: 5,
+};
+
+// Price of tokenAddress in units of the reference token. The reference is
+// options.reference, else the token's entry in dex.pegs, else the first stable
+// quote token; options.peg (or the entry's peg) is the price it should hold
+async function priceToken(provider, tokenAddress, dex, options = {}) {
+    const settings = withDefaults(DEFAULT_OPTIONS, options);
+    const pegged = (dex.pegs || []).find(entry => sameAddress(entry.token, tokenAddress));
+    const referenceAddress = settings.reference || (pegged && pegged.reference) || defaultReference(dex, tokenAddress);
+    if (!referenceAddress) {
+        return { error: "No reference token given or configured for this chain" };
+    }
+    if (sameAddress(referenceAddress, tokenAddress)) {
+        return { error: "The reference token is the token itself" };
+    }
+
+    const [token, reference] = await Promise.all([
+        describeToken(provider, tokenAddress, dex),
+        describeToken(provider, referenceAddress, dex),
+    ]);
+
+    // Through every quote token that is neither side, e.g. token/WETH and WETH/USDC
+    const intermediates = (dex.quoteTokens || [])
+        .filter(quote => !sameAddress(quote.address, token.address) && !sameAddress(quote.address, reference.address));
+    const [subgraphSources, directSources, routeSources] = await Promise.all([
+        subgraphPrices(dex.subgraphs || [], token, reference, settings),
+        poolPrices(provider, dex, token, reference, settings),
+        Promise.all(intermediates.map(quote => routePrice(provider, dex, token, quote, reference, settings))),
+    ]);
+    // Depth is relative to the deepest pool, the reference differs per request
+    // so there is no single amount that makes a pool deep enough
+    const onChain = [...directSources, ...routeSources.filter(Boolean)];
+    const pools = deepPools(onChain, settings);
+    const sources = [...subgraphSources, ...pools];
+
+    const prices = sources.map(source => source.price);
+    const price = prices.length > 0 ? median(prices) : null;
+    // Spread is only meaningful between two or more sources
+    const spread = prices.length > 1 ? percent(Math.max(...prices) - Math.min(...prices), price) : null;
+    const peg = settings.peg !== undefined ? Number(settings.peg) : pegged && pegged.peg !== undefined ? Number(pegged.peg) : null;
+    const deviation = peg && price !== null ? percent(Math.abs(price - peg), peg) : null;
+
+    return {
+        token,
+        reference,
+        price,
+        sources,
+        spread,
+        shallowSources: onChain.filter(source => !pools.includes(source)),
+        peg,
+        deviation,
+        maxSpreadPercent: settings.maxSpreadPercent,
+        depegged: (spread !== null && spread > settings.maxSpreadPercent)
+            || (deviation !== null && deviation > settings.maxSpreadPercent),
+    };
+}
+
+function defaultReference(dex, tokenAddress) {
+    const quotes = (dex.quoteTokens || []).filter(quote => !sameAddress(quote.address, tokenAddress));
+    const stable = quotes.find(quote => quote.stable);
+    return stable ? stable.address : null;
+}
+
+async function describeToken(provider, address, dex) {
+    const known = (dex.quoteTokens || []).find(quote => sameAddress(quote.address, address));
+    const contract = new ethers.Contract(address, ERC20_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+        known ? known.symbol : contract.symbol().catch(() => 'Unknown'),
+        contract.decimals().catch(() => 18),
+    ]);
+    return { address: ethers.utils.getAddress(address), symbol, decimals: Number(decimals) };
+}
+
+// Subgraphs price both tokens in the same unit (USD or the native token), so
+// their ratio is the price in the reference. A token the subgraph has not
+// indexed is simply absent from the answer
+async function subgraphPrices(subgraphs, token, reference, settings) {
+    const sources = [];
+    for (const subgraph of subgraphs) {
+        const field = subgraph.priceField || 'derivedUSD';
+        try {
+            const response = await axios.post(
+                subgraph.url,
+                {
+                    query: SUBGRAPH_QUERY.replace('%FIELD%', field),
+                    variables: { ids: [token.address.toLowerCase(), reference.address.toLowerCase()] },
+                },
+                { headers: { 'Content-Type': 'application/json' }, timeout: settings.subgraphTimeoutMs }
+            );
+            if (response.data.errors) {
+                throw new Error(response.data.errors.map(error => error.message).join('; '));
+            }
+
+            const tokens = response.data.data.tokens;
+            const valueOf = address => {
+                const entry = tokens.find(item => item.id.toLowerCase() === address.toLowerCase());
+                return entry ? Number(entry[field]) : 0;
+            };
+            const tokenValue = valueOf(token.address);
+            const referenceValue = valueOf(reference.address);
+            if (tokenValue > 0 && referenceValue > 0) {
+                sources.push({ type: 'subgraph', name: subgraph.name, price: tokenValue / referenceValue });
+            }
+        } catch (error) {
+            console.error(`Error querying ${subgraph.name} subgraph:`, error.message);
+        }
+    }
+    return sources;
+}
+
+// Every V2 pair and V3 pool between the two tokens on the configured factories
+async function poolPrices(provider, dex, base, quote, settings) {
+    const found = await Promise.all(dex.factories.map(factory => (factory.version === 'v3'
+        ? v3Prices(provider, factory, base, quote, settings)
+        : v2Price(provider, factory, base, quote))));
+    return found.flat();
+}
+
+async function v2Price(provider, factory, base, quote) {
+    try {
+        const factoryContract = new ethers.Contract(factory.address, V2_FACTORY_ABI, provider);
+        const pairAddress = await factoryContract.getPair(base.address, quote.address);
+        if (pairAddress === ethers.constants.AddressZero) {
+            return [];
+        }
+
+        const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
+        const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+        const [baseReserve, quoteReserve] = sameAddress(token0, base.address)
+            ? [reserves.reserve0, reserves.reserve1]
+            : [reserves.reserve1, reserves.reserve0];
+        if (baseReserve.isZero() || quoteReserve.isZero()) {
+            return [];
+        }
+
+        const price = toNumber(quoteReserve, quote.decimals) / toNumber(baseReserve, base.decimals);
+        // Depth is the quote side of the reserves, in whole quote tokens
+        return [{ type: 'v2', name: factory.name, pool: pairAddress, price, depth: toNumber(quoteReserve, quote.decimals) }];
+    } catch (error) {
+        console.error(`Error reading ${factory.name} pair:`, error.message);
+        return [];
+    }
+}
+
+// Spot from slot0 and, where the pool's observations reach back far enough,
+// the time-weighted average tick over settings.twapSeconds
+async function v3Prices(provider, factory, base, quote, settings) {
+    const factoryContract = new ethers.Contract(factory.address, V3_FACTORY_ABI, provider);
+    const tiers = await Promise.all((factory.feeTiers || V3_FEE_TIERS).map(async fee => {
+        try {
+            const poolAddress = await factoryContract.getPool(base.address, quote.address, fee);
+            if (poolAddress === ethers.constants.AddressZero) {
+                return [];
+            }
+
+            const pool = new ethers.Contract(poolAddress, V3_POOL_ABI, provider);
+            const [token0, liquidity, slot0] = await Promise.all([pool.token0(), pool.liquidity(), pool.slot0()]);
+            if (liquidity.isZero()) {
+                return [];
+            }
+
+            const baseIsToken0 = sameAddress(token0, base.address);
+            const [decimals0, decimals1] = baseIsToken0
+                ? [base.decimals, quote.decimals]
+                : [quote.decimals, base.decimals];
+            // token1 per token0, in whole units
+            const orient = price => (baseIsToken0 ? price : 1 / price);
+            const sqrtPrice = Number(slot0.sqrtPriceX96.toString()) / 2 ** 96;
+            const spot = sqrtPrice ** 2 * 10 ** (decimals0 - decimals1);
+            // Quote side of the virtual reserves of the in-range liquidity
+            const virtualQuote = baseIsToken0
+                ? Number(liquidity.toString()) * sqrtPrice
+                : Number(liquidity.toString()) / sqrtPrice;
+            const depth = virtualQuote / 10 ** quote.decimals;
+            const prices = [{ type: 'v3-spot', name: factory.name, pool: poolAddress, fee, price: orient(spot), depth }];
+
+            if (settings.twapSeconds > 0) {
+                const twap = await pool.observe([settings.twapSeconds, 0]).then(({ tickCumulatives }) => {
+                    const tick = tickCumulatives[1].sub(tickCumulatives[0]).toNumber() / settings.twapSeconds;
+                    return 1.0001 ** tick * 10 ** (decimals0 - decimals1);
+                }, () => null);
+                if (twap !== null) {
+                    prices.push({ type: 'v3-twap', name: factory.name, pool: poolAddress, fee, seconds: settings.twapSeconds, price: orient(twap), depth });
+                }
+            }
+            return prices;
+        } catch (error) {
+            console.error(`Error reading ${factory.name} pool:`, error.message);
+            return [];
+        }
+    }));
+    return tiers.flat();
+}
+
+// Token priced in an intermediate quote token, times that quote token's price
+// in the reference; each leg is the median of its deep enough on-chain pools.
+// The route is as deep as its shallower leg, in reference units
+async function routePrice(provider, dex, token, quote, reference, settings) {
+    const intermediate = await describeToken(provider, quote.address, dex);
+
+    const legs = await Promise.all([
+        poolPrices(provider, dex, token, intermediate, settings),
+        poolPrices(provider, dex, intermediate, reference, settings),
+    ]);
+    const [first, second] = legs.map(leg => deepPools(leg, settings));
+    if (first.length === 0 || second.length === 0) {
+        return null;
+    }
+    const quotePrice = median(second.map(source => source.price));
+    return {
+        type: 'route',
+        name: `via ${quote.symbol}`,
+        pools: [...first, ...second].map(source => source.pool),
+        price: median(first.map(source => source.price)) * quotePrice,
+        depth: Math.min(totalDepth(first) * quotePrice, totalDepth(second)),
+    };
+}
+
+function deepPools(sources, settings) {
+    const deepest = Math.max(0, ...sources.map(source => source.depth));
+    return sources.filter(source => source.depth >= deepest * settings.minDepthPercent / 100);
+}
+
+// Spot and time-weighted sources of one V3 pool share its liquidity
+function totalDepth(sources) {
+    const byPool = new Map(sources.map(source => [source.pool, source.depth]));
+    return [...byPool.values()].reduce((sum, depth) => sum + depth, 0);
+}
+
+function toNumber(amount, decimals) {
+    return Number(ethers.utils.formatUnits(amount, decimals));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percent(part, whole) {
+    return Math.round(part / whole * 10000) / 100;
+}
+
+function sameAddress(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+    priceToken,
+};
@@ -0,0 +1,114 @@
+// On-chain proxy detection through the standard storage slots and the
+// EIP-1167 minimal proxy bytecode, plus classification of who can upgrade
+const { ethers } = require('ethers');
+const { classifyPrincipal } = require('./roles');
+
+const SLOTS = {
+    // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+    EIP1967_IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+    EIP1967_ADMIN: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+    EIP1967_BEACON: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+    // keccak256('PROXIABLE')
+    EIP1822_PROXIABLE: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+    // keccak256('org.zeppelinos.proxy.implementation'), pre-1967 OpenZeppelin proxies
+    ZEPPELINOS_IMPLEMENTATION: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+};
+
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const BEACON_ABI = ['function implementation() view returns (address)'];
+const ADMIN_ABI = ['function owner() view returns (address)'];
+
+async function resolveProxy(provider, address) {
+    try {
+        const code = await provider.getCode(address);
+
+        const minimalProxy = code.match(MINIMAL_PROXY_PATTERN);
+        if (minimalProxy) {
+            return {
+                isProxy: true,
+                standard: 'EIP-1167',
+                implementation: ethers.utils.getAddress('0x' + minimalProxy[1]),
+                // Minimal proxies hardcode their target and cannot be upgraded
+                upgradeable: false,
+                admin: null,
+            };
+        }
+
+        const [implementation, adminAddress, beacon, proxiable, zeppelinos] = await Promise.all([
+            readAddressSlot(provider, address, SLOTS.EIP1967_IMPLEMENTATION),
+            readAddressSlot(provider, address, SLOTS.EIP1967_ADMIN),
+            readAddressSlot(provider, address, SLOTS.EIP1967_BEACON),
+            readAddressSlot(provider, address, SLOTS.EIP1822_PROXIABLE),
+            readAddressSlot(provider, address, SLOTS.ZEPPELINOS_IMPLEMENTATION),
+        ]);
+
+        let proxy = null;
+        if (implementation) {
+            proxy = { standard: 'EIP-1967', implementation };
+        } else if (beacon) {
+            const beaconContract = new ethers.Contract(beacon, BEACON_ABI, provider);
+            const beaconImplementation = await beaconContract.implementation().catch(() => null);
+            proxy = { standard: 'EIP-1967 beacon', implementation: beaconImplementation, beacon };
+        } else if (proxiable) {
+            proxy = { standard: 'EIP-1822', implementation: proxiable };
+        } else if (zeppelinos) {
+            proxy = { standard: 'ZeppelinOS', implementation: zeppelinos };
+        }
+
+        if (!proxy) {
+            return { isProxy: false };
+        }
+
+        // Transparent proxies keep the upgrader in the admin slot, beacons are
+        // upgraded by the beacon owner, UUPS implementations gate upgrades on
+        // their own owner() which we read through the proxy
+        let upgrader = adminAddress;
+        if (!upgrader && proxy.beacon) {
+            upgrader = await readOwner(provider, proxy.beacon);
+        }
+        if (!upgrader) {
+            upgrader = await readOwner(provider, address);
+        }
+
+        return {
+            isProxy: true,
+            ...proxy,
+            upgradeable: true,
+            admin: upgrader ? await classifyAdmin(provider, upgrader) : null,
+        };
+    } catch (error) {
+        console.error('Error resolving proxy:', error);
+        return { isProxy: false, error: error.message };
+    }
+}
+
+// Who holds the upgrade key: a wallet, a Safe, a timelock, or a ProxyAdmin owned by one of those
+async function classifyAdmin(provider, address) {
+    const admin = await classifyPrincipal(provider, address);
+    return admin.type === 'contract' && admin.owner ? { ...admin, type: 'proxyAdmin' } : admin;
+}
+
+async function readAddressSlot(provider, address, slot) {
+    // Some nodes return storage words without leading zeros
+    const value = ethers.utils.hexZeroPad(await provider.getStorageAt(address, slot), 32);
+    const candidate = ethers.utils.hexDataSlice(value, 12);
+    if (ethers.BigNumber.from(candidate).isZero()) {
+        return null;
+    }
+    return ethers.utils.getAddress(candidate);
+}
+
+async function readOwner(provider, address) {
+    const contract = new ethers.Contract(address, ADMIN_ABI, provider);
+    const owner = await contract.owner().catch(() => null);
+    return owner && owner !== ethers.constants.AddressZero ? owner : null;
+}
+
+module.exports = {
+    SLOTS,
+    resolveProxy,
+    classifyAdmin,
+};
@@ -0,0 +1,421 @@
+// Audit reports for people (Markdown, HTML) and for code-scanning dashboards
+// (SARIF). All three render the same outline built from a stored result.
+const { checkStatus } = require('./scoring');
+const { describePrincipal } = require('./roles');
+
+const FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+    html: { contentType: 'text/html; charset=utf-8', render: renderHtml },
+    sarif: { contentType: 'application/sarif+json', render: renderSarif },
+};
+
+// What each check looks at, shown next to clean results, which have no finding to explain them
+const CHECK_DESCRIPTIONS = {
+    compilerBugs: 'Known severe bugs in the Solidity compiler version and settings used.',
+    ownershipRenounced: 'Whether the owner has given up control of owner-only functions.',
+    privilegedRoles: 'Addresses besides the owner that hold roles or admin rights.',
+    hiddenOwner: 'Privileged addresses other than the visible owner, self-destruct and delegatecall.',
+    honeypot: 'A simulated buy, transfer and sell on a fork of the chain.',
+    highTax: 'Buy, sell and transfer tax measured on a fork of the chain.',
+    taxModifiable: 'Functions that let the owner change the fees.',
+    mintable: 'Functions that create new tokens after deployment.',
+    proxyContract: 'Whether the token logic sits behind an upgradeable proxy.',
+    hasSuspiciousFunctions: 'Owner control over fees, limits, the router or trading switches.',
+    hasBlacklist: 'Functions that block individual addresses from transferring.',
+    hasWhitelist: 'Functions that restrict transfers to approved addresses.',
+    transferCooldown: 'Delays enforced between transfers from the same address.',
+    transferPausable: 'Functions that pause all transfers.',
+    concentratedHolder: 'Wallets holding a large share of the supply.',
+    liquidityHeldByDeployer: 'LP tokens held by the deployer or owner.',
+    liquidityUnlocked: 'LP tokens that are neither burned nor locked.',
+    deployerRugHistory: 'Liquidity pulls and dumps on the other tokens of the contract creator.',
+    deployerExitedLaunch: 'Liquidity removed or supply sold by the contract creator soon after launch.',
+    serialDeployer: 'How many other tokens the contract creator has deployed.',
+    knownScamTemplate: 'Bytecode compared with the contracts labelled in the local fingerprint database.',
+    sellLimitTooLow: 'Max transaction and max sell limits read from the token, against its supply.',
+    tradingSwitchable: 'Owner-only functions that can set a trading flag back to off.',
+    feeOnTransfer: 'Whether a transfer on a fork delivers the full amount sent.',
+    rebasing: 'Balances that change without Transfer events, during a transfer or over time.',
+    transferHooks: 'ERC-777 and ERC-1363 callbacks into senders and recipients.',
+    nonStandardReturns: 'Return values of transfer and approve that differ from ERC-20.',
+    approvalRaceGuard: 'USDT-style refusal to change one non-zero allowance to another.',
+    depegged: 'Agreement between subgraph, V2 and V3 prices, and distance from a configured peg.',
+};
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+// GitHub code scanning ranks alerts by this 0-10 score
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0', info: '0.0' };
+
+function renderReport(result, chain, format) {
+    return FORMATS[format].render(result, chain);
+}
+
+function buildOutline(result, chain) {
+    const link = address => explorerLink(chain, address);
+    const facts = [
+        { label: 'Chain', value: `${result.chain.name} (${result.chain.chainId})` },
+        { label: 'Address', value: result.tokenAddress, link: link(result.tokenAddress) },
+        { label: 'Block', value: String(result.blockNumber) },
+        { label: 'Decimals', value: String(result.decimals) },
+        { label: 'Total supply', value: result.totalSupply },
+    ];
+    if (result.contract) {
+        const contract = result.contract;
+        const optimizer = contract.optimization.enabled ? `optimizer on (${contract.optimization.runs} runs)` : 'optimizer off';
+        facts.push({ label: 'Verified', value: `${contract.name} via ${contract.verifiedBy}, ${contract.compilerVersion}, ${optimizer}` });
+    } else {
+        facts.push({ label: 'Verified', value: 'No' });
+    }
+    if (result.proxy) {
+        facts.push({ label: 'Proxy', value: `${result.proxy.standard} implementation ${result.proxy.implementation}`, link: link(result.proxy.implementation) });
+        facts.push(principalFact('Upgrader', result.proxy.admin, link));
+    }
+    if (result.ownership) {
+        const owner = result.ownership.principals.find(principal => principal.kind === 'owner');
+        if (!result.ownership.ownable) {
+            facts.push({ label: 'Owner', value: 'None (no Ownable interface)' });
+        } else if (result.ownership.renounced) {
+            facts.push({ label: 'Owner', value: 'Renounced' });
+        } else {
+            facts.push(principalFact('Owner', owner, link));
+        }
+    }
+    if (result.deployer) {
+        facts.push({
+            label: 'Deployer',
+            value: `${result.deployer.creator} (${result.deployer.verdict}, ${result.deployer.otherTokenCount} other token(s))`,
+            link: link(result.deployer.creator),
+        });
+    }
+    if (result.fingerprint && result.fingerprint.closest) {
+        facts.push({
+            label: 'Closest template',
+            value: describeTemplate(result.fingerprint.closest),
+            link: link(result.fingerprint.closest.address),
+        });
+    }
+    if (result.limits && result.limits.limits.length > 0) {
+        facts.push({ label: 'Limits', value: describeLimits(result.limits) });
+    }
+    if (result.behavior) {
+        facts.push({ label: 'Permit', value: describePermit(result.behavior.permit) });
+    }
+    if (result.price && result.price.price !== null) {
+        const price = result.price;
+        const spread = price.spread !== null ? `, sources ${price.spread}% apart` : '';
+        const peg = price.peg !== null ? `, ${price.deviation}% from ${price.peg} peg` : '';
+        facts.push({
+            label: 'Price',
+            value: `${formatPrice(price.price)} ${price.reference.symbol} from ${price.sources.length} source(s)${spread}${peg}`,
+            link: link(price.reference.address),
+        });
+    }
+    if (result.risk) {
+        facts.push({ label: 'Risk score', value: `${result.risk.score}/100 (grade ${result.risk.grade})` });
+    }
+
+    const principals = result.ownership
+        ? result.ownership.principals
+            .filter(principal => principal.kind !== 'owner')
+            .map(principal => ({ label: principal.source, value: describePrincipal(principal), link: link(principal.address) }))
+        : [];
+
+    const pools = result.liquidity
+        ? result.liquidity.pools.map(pool => ({
+            label: `${pool.dex} ${pool.quote.symbol}`,
+            value: `${pool.address}, depth ${pool.depthUsd !== null ? `$${pool.depthUsd}` : 'unknown'}`,
+            link: link(pool.address),
+        }))
+        : [];
+
+    const checks = Object.entries(result.securityChecks).map(([check, value]) => {
+        const finding = result.findings.find(entry => entry.check === check);
+        const formatted = formatCheckResult(check, value);
+        return {
+            ...formatted,
+            // Custom rules carry their own description in the check details
+            explanation: finding
+                ? finding.explanation
+                : CHECK_DESCRIPTIONS[check] || (result.checkDetails[check] && result.checkDetails[check].description) || '',
+        };
+    });
+
+    return {
+        title: `${result.name} (${result.symbol})`,
+        facts,
+        principals,
+        pools,
+        checks,
+        findings: result.findings.map(finding => ({
+            ...finding,
+            evidenceText: finding.evidence.map(formatEvidence),
+        })),
+    };
+}
+
+function principalFact(label, principal, link) {
+    return principal
+        ? { label, value: describePrincipal(principal), link: link(principal.address) }
+        : { label, value: 'None' };
+}
+
+// Blockscout and Etherscan style explorers share the /address/ path
+function explorerLink(chain, address) {
+    const url = chain && chain.explorer && chain.explorer.url;
+    return url && address ? `${url.replace(/\/$/, '')}/address/${address}` : null;
+}
+
+function describeTemplate(closest) {
+    return `${closest.label} (${closest.verdict}, ${closest.address} on ${closest.chain}), similarity ${closest.similarity}`;
+}
+
+// Each limit with its share of the supply, then whether trading is open
+function describeLimits(limits) {
+    const parts = limits.limits.map(limit => {
+        const share = limit.unset ? ' (no limit)'
+            : limit.percentOfSupply !== null ? ` (${limit.percentOfSupply}% of supply)` : '';
+        return `${limit.name} ${limit.value}${share}`;
+    });
+    if (limits.tradingOpen !== null) {
+        parts.push(limits.tradingOpen ? 'trading open' : 'trading closed');
+    }
+    return parts.join(', ');
+}
+
+function describePermit(permit) {
+    if (!permit.supported) {
+        return 'Not supported';
+    }
+    const variant = permit.variant === 'dai' ? 'DAI-style' : 'EIP-2612';
+    const verified = permit.verified === true ? ', a signed permit worked on the fork'
+        : permit.verified === false ? ', a signed permit failed on the fork' : '';
+    return `${variant}${verified}`;
+}
+
+// Six significant digits, enough for both large and tiny prices
+function formatPrice(price) {
+    return String(Number(price.toPrecision(6)));
+}
+
+// A check's name and how its value reads, for the CLI table and the reports
+function formatCheckResult(check, value) {
+    const label = check
+        .replace(/([A-Z])/g, ' $1')
+        .replace(/-/g, ' ')
+        .replace(/^./, str => str.toUpperCase());
+    const status = checkStatus(check, value);
+
+    let text;
+    if (check === 'honeypot') {
+        // Honeypot is a simulation verdict rather than a boolean
+        text = value.isHoneypot === null
+            ? `Unknown (${value.reason})`
+            : value.isHoneypot ? `Yes - ${value.reason}`
+                : value.status === 'transfer_blocked' ? `No, but transfers are blocked - ${value.reason}` : 'No';
+    } else if (status === 'unknown') {
+        text = value;
+    } else {
+        text = value ? 'Yes' : 'No';
+    }
+    return { check, label, status, text };
+}
+
+function formatEvidence(evidence) {
+    if (typeof evidence === 'string') {
+        return evidence;
+    }
+    const location = [evidence.contract, evidence.function].filter(Boolean).join('.');
+    const position = evidence.line ? `${evidence.file ? `${evidence.file} ` : ''}line ${evidence.line}` : '';
+    const where = [location, position].filter(Boolean).join(', ');
+    return `${evidence.detail}${where ? ` (${where})` : ''}`;
+}
+
+function renderMarkdown(result, chain) {
+    const outline = buildOutline(result, chain);
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const value = fact => (fact.link ? `[${cell(fact.value)}](${fact.link})` : cell(fact.value));
+    const lines = [`# Token security report: ${outline.title}`, ''];
+
+    lines.push('| | |', '| --- | --- |');
+    lines.push(...outline.facts.map(fact => `| ${fact.label} | ${value(fact)} |`), '');
+
+    if (outline.principals.length > 0) {
+        lines.push('## Privileged addresses', '');
+        lines.push(...outline.principals.map(principal => `- \`${principal.label}\`: ${value(principal)}`), '');
+    }
+    if (outline.pools.length > 0) {
+        lines.push('## Liquidity pools', '');
+        lines.push(...outline.pools.map(pool => `- ${pool.label}: ${value(pool)}`), '');
+    }
+
+    lines.push('## Security checks', '', '| Check | Result | Explanation |', '| --- | --- | --- |');
+    lines.push(...outline.checks.map(check => `| ${check.label} | ${cell(check.text)} | ${cell(check.explanation)} |`), '');
+
+    lines.push('## Findings', '');
+    if (outline.findings.length === 0) {
+        lines.push('No findings.', '');
+    }
+    for (const finding of outline.findings) {
+        lines.push(`### [${finding.severity.toUpperCase()}] ${finding.id}`, '');
+        lines.push(`${finding.explanation} (${finding.confidence} confidence)`, '');
+        lines.push(...finding.evidenceText.map(text => `- ${text}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function renderHtml(result, chain) {
+    const outline = buildOutline(result, chain);
+    const value = fact => (fact.link
+        ? `<a href="${escapeHtml(fact.link)}">${escapeHtml(fact.value)}</a>`
+        : escapeHtml(fact.value));
+    const list = items => `<ul>${items.map(item => `<li><code>${escapeHtml(item.label)}</code> ${value(item)}</li>`).join('')}</ul>`;
+
+    const sections = [
+        `<h1>Token security report: ${escapeHtml(outline.title)}</h1>`,
+        `<table>${outline.facts.map(fact => `<tr><th>${escapeHtml(fact.label)}</th><td>${value(fact)}</td></tr>`).join('')}</table>`,
+    ];
+    if (outline.principals.length > 0) {
+        sections.push('<h2>Privileged addresses</h2>', list(outline.principals));
+    }
+    if (outline.pools.length > 0) {
+        sections.push('<h2>Liquidity pools</h2>', list(outline.pools));
+    }
+    sections.push(
+        '<h2>Security checks</h2>',
+        '<table><tr><th>Check</th><th>Result</th><th>Explanation</th></tr>' +
+            outline.checks.map(check => `<tr class="${check.status}"><td>${escapeHtml(check.label)}</td><td>${escapeHtml(check.text)}</td><td>${escapeHtml(check.explanation)}</td></tr>`).join('') +
+            '</table>',
+        '<h2>Findings</h2>'
+    );
+    if (outline.findings.length === 0) {
+        sections.push('<p>No findings.</p>');
+    }
+    for (const finding of outline.findings) {
+        sections.push(
+            `<h3 class="${finding.severity}">[${finding.severity.toUpperCase()}] ${escapeHtml(finding.id)}</h3>`,
+            `<p>${escapeHtml(finding.explanation)} (${escapeHtml(finding.confidence)} confidence)</p>`,
+            finding.evidenceText.length > 0
+                ? `<ul>${finding.evidenceText.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`
+                : ''
+        );
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Token security report: ${escapeHtml(outline.title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 960px; margin: 2em auto; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+tr.flagged td { background: #fde8e8; }
+tr.unknown td { background: #f4f4f4; }
+h3.critical, h3.high { color: #b00020; }
+h3.medium { color: #b36b00; }
+</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// SARIF 2.1.0: one rule per finding id; source evidence becomes one result per
+// file and line, everything else one result located at the token address
+function renderSarif(result, chain) {
+    const rules = new Map();
+    const results = [];
+
+    for (const finding of result.findings) {
+        if (!rules.has(finding.id)) {
+            rules.set(finding.id, {
+                id: finding.id,
+                name: finding.check,
+                shortDescription: { text: finding.explanation },
+                defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+                properties: {
+                    tags: ['security', finding.check],
+                    'security-severity': SECURITY_SEVERITY[finding.severity],
+                },
+            });
+        }
+
+        const base = {
+            ruleId: finding.id,
+            level: SARIF_LEVELS[finding.severity],
+            properties: { check: finding.check, severity: finding.severity, confidence: finding.confidence },
+        };
+        const located = finding.evidence.filter(evidence => typeof evidence === 'object' && evidence.file && evidence.line);
+        for (const evidence of located) {
+            results.push({
+                ...base,
+                message: { text: `${finding.explanation} ${formatEvidence(evidence)}` },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: evidence.file },
+                        region: { startLine: evidence.line },
+                    },
+                    logicalLocations: [evidence.contract, evidence.function].every(Boolean)
+                        ? [{ fullyQualifiedName: `${evidence.contract}.${evidence.function}`, kind: 'function' }]
+                        : undefined,
+                }],
+            });
+        }
+        if (located.length === 0) {
+            const details = finding.evidence.map(formatEvidence);
+            results.push({
+                ...base,
+                message: { text: [finding.explanation, ...details].join(' ') },
+                locations: [{
+                    logicalLocations: [{ fullyQualifiedName: result.tokenAddress, kind: 'module' }],
+                }],
+            });
+        }
+    }
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'TokenSecurityChecker',
+                    // Findings are sorted by severity, and so are the rules
+                    rules: [...rules.values()],
+                },
+            },
+            artifacts: result.contract
+                ? result.contract.files.map(file => ({ location: { uri: file } }))
+                : [],
+            results,
+            properties: {
+                chain: result.chain,
+                tokenAddress: result.tokenAddress,
+                blockNumber: result.blockNumber,
+                explorerUrl: explorerLink(chain, result.tokenAddress),
+                risk: result.risk,
+            },
+        }],
+    }, null, 2);
+}
+
+module.exports = {
+    FORMATS,
+    renderReport,
+    formatCheckResult,
+    formatEvidence,
+    describeLimits,
+    describeTemplate,
+    describePermit,
+};
@@ -0,0 +1,221 @@
+// Every address with privileges over the token: the Ownable owner, AccessControl
+// role holders rebuilt from RoleGranted/RoleRevoked logs, and admin-style getters.
+// Each is classified as an EOA, Gnosis Safe, timelock or other contract.
+const { ethers } = require('ethers');
+const { fetchLogs } = require('./logs');
+
+const OWNER_GETTERS = ['owner', 'getOwner'];
+
+// Address getters whose name says they hold a privilege
+const ADMIN_NAME_PATTERN = /owner|admin|operator|govern|manager|controller|minter|authority|guardian|keeper/i;
+
+// Address getters tried on every token, whatever the source says
+const ADMIN_GETTERS = [
+    'admin',
+    'getAdmin',
+    'governance',
+    'governor',
+    'operator',
+    'minter',
+    'manager',
+    'controller',
+    'authority',
+    'pendingOwner',
+];
+
+// keccak256 of the role names OpenZeppelin templates use, so logs read as names
+const KNOWN_ROLES = [
+    'MINTER_ROLE',
+    'BURNER_ROLE',
+    'PAUSER_ROLE',
+    'UPGRADER_ROLE',
+    'SNAPSHOT_ROLE',
+    'OPERATOR_ROLE',
+    'ADMIN_ROLE',
+    'MANAGER_ROLE',
+    'BLACKLISTER_ROLE',
+];
+
+const ROLE_GRANTED_TOPIC = ethers.utils.id('RoleGranted(bytes32,address,address)');
+const ROLE_REVOKED_TOPIC = ethers.utils.id('RoleRevoked(bytes32,address,address)');
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+const ACCESS_CONTROL_ABI = [
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+];
+
+const PRINCIPAL_ABI = [
+    'function owner() view returns (address)',
+    // Gnosis Safe
+    'function getThreshold() view returns (uint256)',
+    'function getOwners() view returns (address[])',
+    // OpenZeppelin TimelockController
+    'function getMinDelay() view returns (uint256)',
+    // Compound style Timelock
+    'function delay() view returns (uint256)',
+];
+
+// Roles are replayed from deployment, so fromBlock should be the creation block
+async function enumeratePrincipals(provider, tokenAddress, options = {}) {
+    const classify = memoize(address => classifyPrincipal(provider, address));
+    const principals = [];
+
+    const owner = await readOwner(provider, tokenAddress);
+    const ownable = owner !== null;
+    if (owner && owner.address !== ethers.constants.AddressZero) {
+        principals.push({ kind: 'owner', source: `${owner.getter}()`, ...await classify(owner.address) });
+    }
+
+    const roles = await readRoles(provider, tokenAddress, options.roleNames || [], options);
+    for (const { role, account } of roles) {
+        principals.push({ kind: 'role', source: role, ...await classify(account) });
+    }
+
+    const getters = [...new Set([...ADMIN_GETTERS, ...(options.getters || [])])]
+        .filter(name => !OWNER_GETTERS.includes(name));
+    // Read together so a batching provider sends them as one request
+    const addresses = await Promise.all(getters.map(getter => readAddress(provider, tokenAddress, getter)));
+    for (const [index, getter] of getters.entries()) {
+        const address = addresses[index];
+        if (address && address !== ethers.constants.AddressZero) {
+            principals.push({ kind: 'getter', source: `${getter}()`, ...await classify(address) });
+        }
+    }
+
+    return {
+        ownable,
+        owner: owner ? owner.address : null,
+        renounced: ownable && owner.address === ethers.constants.AddressZero,
+        accessControl: roles.length > 0,
+        principals,
+    };
+}
+
+async function readOwner(provider, tokenAddress) {
+    for (const getter of OWNER_GETTERS) {
+        const address = await readAddress(provider, tokenAddress, getter);
+        if (address) {
+            return { getter, address };
+        }
+    }
+    return null;
+}
+
+async function readAddress(provider, contractAddress, getter) {
+    const contract = new ethers.Contract(contractAddress, [`function ${getter}() view returns (address)`], provider);
+    try {
+        return await contract[getter]();
+    } catch {
+        return null;
+    }
+}
+
+// Current role members: replay grants and revokes, then confirm with hasRole
+async function readRoles(provider, tokenAddress, roleNames, options) {
+    const toBlock = options.toBlock !== undefined ? options.toBlock : await provider.getBlockNumber();
+    const logs = await fetchLogs(
+        provider,
+        { address: tokenAddress, topics: [[ROLE_GRANTED_TOPIC, ROLE_REVOKED_TOPIC]] },
+        options.fromBlock || 0,
+        toBlock,
+        options
+    );
+
+    const members = new Map();
+    for (const log of logs) {
+        const key = `${log.topics[1]}:${ethers.utils.hexDataSlice(log.topics[2], 12)}`;
+        if (log.topics[0] === ROLE_GRANTED_TOPIC) {
+            members.set(key, { role: log.topics[1], account: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12)) });
+        } else {
+            members.delete(key);
+        }
+    }
+
+    const names = roleNameLookup(roleNames);
+    const contract = new ethers.Contract(tokenAddress, ACCESS_CONTROL_ABI, provider);
+    const roles = [];
+    for (const member of members.values()) {
+        const stillHeld = await contract.hasRole(member.role, member.account).catch(() => true);
+        if (stillHeld) {
+            roles.push({ role: names[member.role] || member.role, account: member.account });
+        }
+    }
+    return roles;
+}
+
+function roleNameLookup(extraNames) {
+    const names = { [DEFAULT_ADMIN_ROLE]: 'DEFAULT_ADMIN_ROLE' };
+    for (const name of [...KNOWN_ROLES, ...extraNames]) {
+        names[ethers.utils.id(name)] = name;
+    }
+    return names;
+}
+
+// A wallet, a Gnosis Safe, a timelock, or some other contract (with its owner when it has one)
+async function classifyPrincipal(provider, address, depth = 0) {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        return { address, type: 'EOA' };
+    }
+
+    const contract = new ethers.Contract(address, PRINCIPAL_ABI, provider);
+
+    const [threshold, owners] = await Promise.all([
+        contract.getThreshold().catch(() => null),
+        contract.getOwners().catch(() => null),
+    ]);
+    if (threshold && owners) {
+        return { address, type: 'gnosisSafe', threshold: threshold.toNumber(), owners };
+    }
+
+    const minDelay = await contract.getMinDelay().catch(() => null)
+        || await contract.delay().catch(() => null);
+    if (minDelay) {
+        return { address, type: 'timelock', minDelay: minDelay.toNumber() };
+    }
+
+    // Owned contracts such as a ProxyAdmin, follow them to whoever owns them
+    const owner = await contract.owner().catch(() => null);
+    if (owner && owner !== ethers.constants.AddressZero && depth === 0) {
+        return {
+            address,
+            type: 'contract',
+            owner: await classifyPrincipal(provider, owner, depth + 1),
+        };
+    }
+
+    return { address, type: 'contract' };
+}
+
+function describePrincipal(principal) {
+    switch (principal.type) {
+    case 'EOA':
+        return `${principal.address} (EOA)`;
+    case 'gnosisSafe':
+        return `${principal.address} (Gnosis Safe, ${principal.threshold} of ${principal.owners.length})`;
+    case 'timelock':
+        return `${principal.address} (timelock, ${principal.minDelay}s delay)`;
+    default:
+        return principal.owner
+            ? `${principal.address} (${principal.type}, owned by ${describePrincipal(principal.owner)})`
+            : `${principal.address} (${principal.type})`;
+    }
+}
+
+function memoize(fn) {
+    const cache = new Map();
+    return key => {
+        if (!cache.has(key)) {
+            cache.set(key, fn(key));
+        }
+        return cache.get(key);
+    };
+}
+
+module.exports = {
+    ADMIN_NAME_PATTERN,
+    enumeratePrincipals,
+    readOwner,
+    classifyPrincipal,
+    describePrincipal,
+};
@@ -0,0 +1,184 @@
+// Custom rules loaded from a JSON or YAML file: source patterns, function
+// selectors or storage-slot expectations, each run as a check of its own
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { SEVERITIES, addCheckRule } = require('./scoring');
+const { CHECKS, record } = require('./checks');
+
+const RULE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const CONFIDENCES = ['high', 'medium', 'low'];
+// Source matches reported per rule, the rest are counted
+const MAX_SOURCE_MATCHES = 10;
+
+// Rules from a .json, .yaml or .yml file shaped as { rules: [...] }, each
+// turned into a check of the 'custom' category. Invalid rules stop the
+// startup, like an invalid chain registry does
+function loadCustomRules(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const config = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase())
+        ? yaml.load(text)
+        : JSON.parse(text);
+    if (!config || !Array.isArray(config.rules)) {
+        throw new Error(`${file} must have a "rules" list`);
+    }
+
+    const checks = config.rules.map((rule, index) => customCheck(rule, `${file} rule ${rule && rule.id ? `"${rule.id}"` : index + 1}`));
+    const ids = checks.map(check => check.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index || CHECKS.some(check => check.id === id));
+    if (duplicate) {
+        throw new Error(`${file}: check id "${duplicate}" is used more than once`);
+    }
+
+    for (const check of checks) {
+        addCheckRule(check.id, check.rule.severity, check.rule.explanation);
+    }
+    return checks;
+}
+
+function customCheck(rule, name) {
+    if (!rule || !RULE_ID.test(rule.id || '')) {
+        throw new Error(`${name}: id must be lowercase words joined by dashes`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(`${name}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!rule.explanation) {
+        throw new Error(`${name}: explanation is required`);
+    }
+    if (rule.confidence !== undefined && !CONFIDENCES.includes(rule.confidence)) {
+        throw new Error(`${name}: confidence must be one of ${CONFIDENCES.join(', ')}`);
+    }
+    const kinds = ['source', 'selectors', 'storage'].filter(kind => rule[kind] !== undefined);
+    if (kinds.length !== 1) {
+        throw new Error(`${name}: exactly one of source, selectors or storage is required`);
+    }
+
+    const details = { confidence: rule.confidence || 'high', description: rule.explanation };
+    const build = { source: sourceRule, selectors: selectorRule, storage: storageRule }[kinds[0]];
+    return {
+        id: rule.id,
+        category: 'custom',
+        results: [rule.id],
+        rule: { severity: rule.severity, explanation: rule.explanation },
+        ...build(rule, name, details),
+    };
+}
+
+// A regular expression over every verified source file, e.g.
+// source: { pattern: 'function\s+airdrop\w*\s*\(', flags: 'i' }
+function sourceRule(rule, name, details) {
+    if (typeof rule.source.pattern !== 'string') {
+        throw new Error(`${name}: source.pattern must be a regular expression`);
+    }
+    let pattern;
+    try {
+        pattern = new RegExp(rule.source.pattern, `${(rule.source.flags || '').replace('g', '')}g`);
+    } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+    }
+
+    return {
+        needs: ['source'],
+        run: context => {
+            if (!context.verified) {
+                return { records: [record(rule.id, "Unknown - Source code not verified")] };
+            }
+
+            const matches = context.verified.sources.flatMap(source => [...source.content.matchAll(pattern)].map(match => ({
+                contract: null,
+                function: null,
+                file: source.path,
+                line: source.content.slice(0, match.index).split('\n').length,
+                detail: `matches ${match[0].trim().slice(0, 80)}`,
+            })));
+            const evidence = matches.slice(0, MAX_SOURCE_MATCHES);
+            if (matches.length > evidence.length) {
+                evidence.push(`${matches.length - evidence.length} more match(es)`);
+            }
+            return { records: [record(rule.id, matches.length > 0, { basis: 'source-text', ...details, evidence })] };
+        },
+    };
+}
+
+// Function selectors in the dispatcher, given as 4-byte hex or as a signature:
+// selectors: ['0xb515566a', 'setBots(address[])']; any one of them matches
+function selectorRule(rule, name, details) {
+    if (!Array.isArray(rule.selectors) || rule.selectors.length === 0) {
+        throw new Error(`${name}: selectors must be a non-empty list`);
+    }
+    const wanted = rule.selectors.map(entry => {
+        const text = String(entry).trim();
+        if (/^0x[0-9a-fA-F]{8}$/.test(text)) {
+            return { selector: text.toLowerCase(), signature: null };
+        }
+        if (!/^\w+\(.*\)$/.test(text)) {
+            throw new Error(`${name}: "${text}" is neither a selector nor a function signature`);
+        }
+        return { selector: ethers.utils.id(text.replace(/\s+/g, '')).slice(0, 10), signature: text.replace(/\s+/g, '') };
+    });
+
+    return {
+        needs: ['bytecode'],
+        run: context => {
+            if (!context.bytecodeAnalysis) {
+                return { records: [record(rule.id, "Unknown - Bytecode not available")] };
+            }
+
+            const present = new Set(context.bytecodeAnalysis.selectors.map(entry => entry.selector));
+            const found = wanted.filter(entry => present.has(entry.selector));
+            return {
+                records: [record(rule.id, found.length > 0, {
+                    basis: 'bytecode',
+                    ...details,
+                    evidence: found.map(entry => `${entry.selector}${entry.signature ? ` ${entry.signature}` : ''}`),
+                })],
+            };
+        },
+    };
+}
+
+// A storage slot of the token expected to hold a value, read at the token
+// address so a proxy's own state is checked; the rule flags when the
+// expectation fails. storage: { slot: 7, equals: 1 } or { slot: '0x...', notEquals: 0 }
+function storageRule(rule, name, details) {
+    const { slot, equals, notEquals } = rule.storage;
+    if ((equals === undefined) === (notEquals === undefined)) {
+        throw new Error(`${name}: storage needs exactly one of equals or notEquals`);
+    }
+    let position;
+    let expected;
+    try {
+        position = ethers.BigNumber.from(slot);
+        expected = ethers.BigNumber.from(equals !== undefined ? equals : notEquals);
+    } catch {
+        throw new Error(`${name}: storage slot and value must be numbers or hex strings`);
+    }
+
+    return {
+        needs: ['rpc'],
+        run: async context => {
+            try {
+                const value = ethers.BigNumber.from(await context.provider.getStorageAt(context.tokenAddress, position));
+                const failed = equals !== undefined ? !value.eq(expected) : value.eq(expected);
+                return {
+                    records: [record(rule.id, failed, {
+                        basis: 'storage',
+                        ...details,
+                        evidence: failed
+                            ? [`slot ${position.toHexString()} holds ${value.toHexString()}, expected ${equals !== undefined ? '' : 'anything but '}${expected.toHexString()}`]
+                            : [],
+                    })],
+                };
+            } catch (error) {
+                console.error(`Error reading storage for rule ${rule.id}:`, error);
+                return { records: [record(rule.id, "Unknown - Error reading storage")] };
+            }
+        },
+    };
+}
+
+module.exports = {
+    loadCustomRules,
+};
@@ -0,0 +1,280 @@
+// Turns check results into findings with a severity, confidence and evidence,
+// and rolls the findings up into a 0-100 risk score and a letter grade
+const DEFAULT_SCORING = require('../config/scoring.json');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// How a `true` result of each boolean check reads to a user
+const CHECK_RULES = {
+    ownershipRenounced: value => value === false && {
+        id: 'ownership-not-renounced',
+        severity: 'low',
+        explanation: 'The contract has an active owner who can call owner-only functions.',
+    },
+    compilerBugs: flag(
+        'compiler-bugs',
+        'medium',
+        'The contract was compiled with a Solidity version and settings affected by known severe compiler bugs.'
+    ),
+    privilegedRoles: flag(
+        'privileged-roles',
+        'low',
+        'Addresses besides the owner hold roles or admin rights over the token.'
+    ),
+    hiddenOwner: flag(
+        'hidden-owner',
+        'high',
+        'Privileged logic is tied to addresses other than the visible owner, or the contract can self-destruct or delegate its code.'
+    ),
+    honeypot: value => {
+        if (value.isHoneypot) {
+            return {
+                id: 'honeypot',
+                severity: 'critical',
+                explanation: `The simulated buy went through but the sell did not: ${value.reason}.`,
+            };
+        }
+        if (value.status === 'transfer_blocked') {
+            return {
+                id: 'transfer-blocked',
+                severity: 'high',
+                explanation: `The simulated sell went through but a transfer between wallets did not: ${value.reason}.`,
+            };
+        }
+        if (value.status === 'buy_failed') {
+            return {
+                id: 'buy-failed',
+                severity: 'medium',
+                explanation: `The token could not be bought on the configured DEX: ${value.reason}.`,
+            };
+        }
+        return null;
+    },
+    mintable: flag(
+        'mintable',
+        'high',
+        'New tokens can be minted after deployment, diluting every holder.'
+    ),
+    proxyContract: flag(
+        'upgradeable-proxy',
+        'medium',
+        'The token logic lives behind a proxy and can be replaced by whoever controls upgrades.'
+    ),
+    hasSuspiciousFunctions: flag(
+        'suspicious-functions',
+        'medium',
+        'The owner can change fees, limits, the router or trading switches after launch.'
+    ),
+    hasBlacklist: flag(
+        'blacklist',
+        'high',
+        'The owner can block individual addresses from transferring.'
+    ),
+    hasWhitelist: flag(
+        'whitelist',
+        'medium',
+        'Transfers can be restricted to addresses the owner has approved.'
+    ),
+    transferCooldown: flag(
+        'transfer-cooldown',
+        'low',
+        'Transfers are rate limited per address.'
+    ),
+    transferPausable: flag(
+        'transfer-pausable',
+        'high',
+        'The owner can pause or disable transfers for everyone.'
+    ),
+    concentratedHolder: flag(
+        'holder-concentration',
+        'high',
+        'A single wallet holds more of the supply than the configured threshold and can dump it on the market.'
+    ),
+    highTax: flag(
+        'high-tax',
+        'medium',
+        'A measured buy, sell or transfer tax is above the configured threshold.'
+    ),
+    taxModifiable: flag(
+        'tax-modifiable',
+        'low',
+        'The owner can change the buy, sell or transfer tax after launch.'
+    ),
+    liquidityHeldByDeployer: flag(
+        'liquidity-held-by-deployer',
+        'high',
+        'Liquidity is unlocked and held by the deployer or owner, who can pull it at any time.'
+    ),
+    liquidityUnlocked: flag(
+        'liquidity-unlocked',
+        'medium',
+        'Most of the pool\'s LP tokens are neither burned nor locked.'
+    ),
+    deployerRugHistory: flag(
+        'deployer-rug-history',
+        'high',
+        'The contract creator pulled liquidity from, or dumped, other tokens they launched.'
+    ),
+    deployerExitedLaunch: flag(
+        'deployer-exited-launch',
+        'high',
+        'The contract creator removed liquidity or sold a large share of the supply soon after launch.'
+    ),
+    serialDeployer: flag(
+        'serial-deployer',
+        'low',
+        'The contract creator has deployed many other tokens.'
+    ),
+    knownScamTemplate: flag(
+        'known-scam-template',
+        'high',
+        'The bytecode matches a contract labelled malicious in the fingerprint database, a redeployed scam template.'
+    ),
+    sellLimitTooLow: flag(
+        'sell-block-limit',
+        'high',
+        'A max transaction or max sell limit is so small a share of the supply that holders cannot sell any meaningful amount.'
+    ),
+    tradingSwitchable: flag(
+        'trading-switch',
+        'medium',
+        'The owner can turn trading off again after it has been opened.'
+    ),
+    feeOnTransfer: flag(
+        'fee-on-transfer',
+        'info',
+        'Transfers deliver less than the amount sent, so integrations must measure what actually arrived.'
+    ),
+    rebasing: flag(
+        'rebasing',
+        'info',
+        'Balances change without Transfer events, so cached balances go stale.'
+    ),
+    transferHooks: flag(
+        'transfer-hooks',
+        'info',
+        'Transfers call into the sender or recipient through ERC-777 or ERC-1363 hooks, opening the door to reentrancy.'
+    ),
+    nonStandardReturns: flag(
+        'non-standard-returns',
+        'info',
+        'transfer or approve do not return a bool as ERC-20 specifies, or a failed transfer returns false instead of reverting.'
+    ),
+    approvalRaceGuard: flag(
+        'approval-race-guard',
+        'info',
+        'A non-zero allowance cannot be changed to another non-zero value without first setting it to 0.'
+    ),
+    depegged: flag(
+        'depeg',
+        'medium',
+        'The token\'s price differs between sources, or from the price it is pegged to, by more than the configured threshold.'
+    ),
+};
+
+function flag(id, severity, explanation) {
+    return value => value === true && { id, severity, explanation };
+}
+
+// Custom rules score like the built-in boolean checks, under their own id
+function addCheckRule(check, severity, explanation) {
+    if (CHECK_RULES[check]) {
+        throw new Error(`A check named "${check}" already exists`);
+    }
+    CHECK_RULES[check] = flag(check, severity, explanation);
+}
+
+function isUnknown(value) {
+    return typeof value === 'string' && value.startsWith('Unknown');
+}
+
+// The finding a check result produces, or null when the result is clean
+function findingForCheck(check, value, details = {}) {
+    if (isUnknown(value)) {
+        return {
+            id: `${toKebabCase(check)}-unknown`,
+            check,
+            severity: 'info',
+            confidence: 'low',
+            explanation: value,
+            evidence: [],
+        };
+    }
+
+    const rule = CHECK_RULES[check];
+    const finding = rule ? rule(value) : null;
+    if (!finding) {
+        return null;
+    }
+
+    return {
+        ...finding,
+        check,
+        confidence: details.confidence || 'high',
+        evidence: details.evidence || [],
+    };
+}
+
+// Whether a check came back bad, clean or undetermined
+function checkStatus(check, value) {
+    if (isUnknown(value) || value === null || value === undefined) {
+        return 'unknown';
+    }
+    if (check === 'honeypot' && value.isHoneypot === null) {
+        return 'unknown';
+    }
+    return findingForCheck(check, value) ? 'flagged' : 'clean';
+}
+
+function scoreFindings(findings, config = {}) {
+    const scoring = mergeScoring(config);
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+
+    // Each finding independently removes part of the remaining safety margin,
+    // so one critical finding dominates and many small ones add up without passing 100
+    let safety = 1;
+    for (const finding of findings) {
+        counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+
+        const weight = finding.id in scoring.findingWeights
+            ? scoring.findingWeights[finding.id]
+            : scoring.severityWeights[finding.severity] || 0;
+        const multiplier = scoring.confidenceMultipliers[finding.confidence] || 0;
+        safety *= 1 - Math.min(1, weight * multiplier);
+    }
+
+    const score = Math.round((1 - safety) * 100);
+    const grade = scoring.grades.find(entry => score <= entry.maxScore) || scoring.grades[scoring.grades.length - 1];
+
+    return {
+        score,
+        grade: grade.grade,
+        findingCounts: counts,
+    };
+}
+
+function mergeScoring(config) {
+    return {
+        severityWeights: { ...DEFAULT_SCORING.severityWeights, ...config.severityWeights },
+        confidenceMultipliers: { ...DEFAULT_SCORING.confidenceMultipliers, ...config.confidenceMultipliers },
+        findingWeights: { ...DEFAULT_SCORING.findingWeights, ...config.findingWeights },
+        grades: config.grades || DEFAULT_SCORING.grades,
+    };
+}
+
+function sortFindings(findings) {
+    return [...findings].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+function toKebabCase(text) {
+    return text.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+module.exports = {
+    SEVERITIES,
+    addCheckRule,
+    findingForCheck,
+    checkStatus,
+    scoreFindings,
+    sortFindings,
+};
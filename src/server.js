@@ -0,0 +1,534 @@
+// HTTP API over the checker: single and batch audits, audit history and watches
+const { ethers } = require('ethers');
+const path = require('path');
+const cors = require("cors");
+const express = require("express");
+const { TokenSecurityChecker, checkRegistry, checkerOptions, fingerprintDatabase } = require('./checker');
+const { selectChecks, describeCheck } = require('./checks');
+const { loadChains, createProvider, describeChain } = require('./chains');
+const { AuditHistory, diffAudits } = require('./history');
+const { JobQueue } = require('./jobs');
+const { WatchList, Watcher } = require('./watch');
+const { FORMATS, renderReport } = require('./report');
+const { priceToken } = require('./price');
+const { SnapshotProvider } = require('./snapshot');
+const { VERDICTS, fingerprintContract } = require('./fingerprint');
+const { scanApprovals } = require('./approvals');
+
+const { defaultChain, chains } = loadChains();
+// Providers are shared between requests, one per chain
+const providers = {};
+function getProvider(chain) {
+    if (!providers[chain.id]) {
+        providers[chain.id] = createProvider(chain);
+    }
+    return providers[chain.id];
+}
+const dbPath = process.env.AUDIT_DB_PATH || path.join(__dirname, '..', 'audits.sqlite');
+const history = new AuditHistory(dbPath);
+// Seconds an earlier audit of the same token is served instead of a new one
+const cacheTtl = Number(process.env.AUDIT_CACHE_TTL || 300);
+// Batch audits share one pool of workers, each token bounded by a timeout
+const jobs = new JobQueue({
+    concurrency: process.env.BATCH_CONCURRENCY ? Number(process.env.BATCH_CONCURRENCY) : undefined,
+    timeoutMs: process.env.BATCH_TOKEN_TIMEOUT ? Number(process.env.BATCH_TOKEN_TIMEOUT) * 1000 : undefined,
+});
+const batchMaxTokens = Number(process.env.BATCH_MAX_TOKENS || 100);
+// Wallet approval scans: blocks searched without ?fromBlock=, and fresh audits per scan
+const approvalsLookbackBlocks = process.env.APPROVALS_LOOKBACK_BLOCKS ? Number(process.env.APPROVALS_LOOKBACK_BLOCKS) : undefined;
+const approvalsMaxAudits = process.env.APPROVALS_MAX_AUDITS ? Number(process.env.APPROVALS_MAX_AUDITS) : undefined;
+const watchList = new WatchList(dbPath);
+
+// Chain and token address from the query string, or the reason they are unusable
+function parseTokenQuery(query) {
+    const chain = chains[query.chain || defaultChain];
+    if (!chain) {
+        return { error: `Unsupported chain, expected one of: ${Object.keys(chains).join(', ')}` };
+    }
+    if (!query.tokenAddress) {
+        return { error: "Token address is required" };
+    }
+    if (!ethers.utils.isAddress(query.tokenAddress)) {
+        return { error: "Invalid token address" };
+    }
+    return { chain, tokenAddress: query.tokenAddress };
+}
+
+// check if address is a contract
+async function checkContract(chain, tokenAddress) {
+    const code = await getProvider(chain).getCode(tokenAddress);
+    return code === "0x" ? "Invalid address is not a contract" : null;
+}
+
+// One audit, served from the history when a recent one exists; { error }
+// when the address holds no contract. An audit limited to some of the checks
+// is always run and never stored, the history and diffs compare full audits
+async function auditToken(chain, tokenAddress, refresh, checks = checkRegistry) {
+    const partial = checks.length < checkRegistry.length;
+
+    // A recent audit of the same token is served as is, unless a refresh is asked for
+    const cached = partial || refresh ? null : cachedAudit(chain, tokenAddress);
+    if (cached) {
+        return { result: cached };
+    }
+
+    const contractError = await checkContract(chain, tokenAddress);
+    if (contractError) {
+        return { error: contractError };
+    }
+
+    const provider = getProvider(chain);
+    const checker = new TokenSecurityChecker(chain, { ...checkerOptions(provider), checks });
+    const result = await checker.checkToken(tokenAddress);
+    if (result.error || partial) {
+        return { result };
+    }
+
+    const saved = history.save(chain.id, result);
+    return { result: { ...result, audit: { id: saved.id, createdAt: saved.createdAt, cached: false } } };
+}
+
+// The token's full audit from the history when it is recent enough to serve, or null
+function cachedAudit(chain, tokenAddress) {
+    const cached = history.latest(chain.id, tokenAddress);
+    if (!cached || cached.ageMs >= cacheTtl * 1000) {
+        return null;
+    }
+    return { ...cached.result, audit: { id: cached.id, createdAt: cached.createdAt, cached: true } };
+}
+
+// Audits run in the batch pool, each bounded by its timeout; resolves to
+// { result } or { error } per token once all are finished
+function auditInPool(chain, tokenAddresses) {
+    return new Promise(resolve => {
+        const job = jobs.create(tokenAddresses, async tokenAddress => {
+            const audit = await auditToken(chain, tokenAddress, false);
+            if (audit.error || audit.result.error) {
+                throw new Error(audit.error || audit.result.error);
+            }
+            return audit.result;
+        });
+        job.once("done", snapshot => resolve(snapshot.entries.map(entry => (
+            entry.status === 'done' ? { result: entry.result } : { error: entry.error }
+        ))));
+    });
+}
+
+// Watched tokens are re-audited, bypassing the cache, whenever something relevant happens on chain
+const watcher = new Watcher(watchList, {
+    chains,
+    getProvider,
+    history,
+    audit: (chain, tokenAddress) => auditToken(chain, tokenAddress, true),
+}, {
+    intervalMs: process.env.WATCH_POLL_INTERVAL ? Number(process.env.WATCH_POLL_INTERVAL) * 1000 : undefined,
+    maxBlocksPerPoll: process.env.WATCH_MAX_BLOCKS ? Number(process.env.WATCH_MAX_BLOCKS) : undefined,
+    maxAuditFailures: process.env.WATCH_MAX_AUDIT_FAILURES ? Number(process.env.WATCH_MAX_AUDIT_FAILURES) : undefined,
+    callScanIntervalMs: process.env.WATCH_CALL_SCAN_INTERVAL ? Number(process.env.WATCH_CALL_SCAN_INTERVAL) * 1000 : undefined,
+});
+
+const app = express();
+app.use(express.json()); // <==== parse request body as JSON
+app.use(express.urlencoded({ extended: true }));
+
+app.use(
+    cors({
+        //origin: 'https:website.com'
+        origin: "*",
+    })
+);
+
+app.get("/", async (req, res) => {
+    res.send("api is running");
+});
+
+app.get("/chains", async (req, res) => {
+    res.send({
+        defaultChain,
+        chains: Object.values(chains).map(describeChain),
+    });
+});
+
+// Every check the API can run, built-in and custom, for ?checks= and ?skip=
+app.get("/checks", async (req, res) => {
+    res.send(checkRegistry.map(describeCheck));
+});
+
+app.get("/audit", async (req, res) => {
+    const { chain, tokenAddress, error } = parseTokenQuery(req.query);
+    if (error) {
+        res.status(400).send(error);
+        return
+    }
+    const selection = selectChecks(checkRegistry, req.query);
+    if (selection.error) {
+        res.status(400).send(selection.error);
+        return
+    }
+
+    let audit;
+    try {
+        audit = await auditToken(chain, tokenAddress, req.query.refresh === 'true', selection.checks);
+    } catch (error) {
+        console.error('Error auditing token:', error);
+        res.status(500).send("Error auditing the token");
+        return
+    }
+    if (audit.error) {
+        res.status(400).send(audit.error);
+        return
+    }
+    if (audit.result.error) {
+        res.status(500).send(audit.result.error);
+        return
+    }
+    res.send(audit.result);
+})
+
+// Price against any reference token, ?reference=0x... (a stable quote token
+// by default) and optionally the ?peg= price it should hold
+app.get("/price", async (req, res) => {
+    const { chain, tokenAddress, error } = parseTokenQuery(req.query);
+    if (error) {
+        res.status(400).send(error);
+        return
+    }
+    if (req.query.reference && !ethers.utils.isAddress(req.query.reference)) {
+        res.status(400).send("Invalid reference address");
+        return
+    }
+    if (req.query.peg !== undefined && !(Number(req.query.peg) > 0)) {
+        res.status(400).send("peg must be a positive number");
+        return
+    }
+
+    try {
+        const provider = getProvider(chain);
+        const snapshot = new SnapshotProvider(provider, await provider.getBlockNumber());
+        const price = await priceToken(snapshot, tokenAddress, chain.dex, {
+            ...checkerOptions(provider).price,
+            reference: req.query.reference,
+            peg: req.query.peg,
+        });
+        if (price.error) {
+            res.status(400).send(price.error);
+            return
+        }
+        res.send({ chain: describeChain(chain), blockNumber: snapshot.pinnedBlock, ...price });
+    } catch (error) {
+        console.error('Error pricing token:', error);
+        res.status(500).send("Error reading prices");
+    }
+})
+
+// A wallet's outstanding approvals, riskiest first, each with the calldata
+// that revokes it; ?fromBlock= sets how far back Approval logs are searched
+app.get("/wallet/approvals", async (req, res) => {
+    const chain = chains[req.query.chain || defaultChain];
+    if (!chain) {
+        res.status(400).send(`Unsupported chain, expected one of: ${Object.keys(chains).join(', ')}`);
+        return
+    }
+    if (!req.query.address || !ethers.utils.isAddress(req.query.address)) {
+        res.status(400).send("A valid wallet address is required");
+        return
+    }
+    if (req.query.fromBlock !== undefined && !(Number.isInteger(Number(req.query.fromBlock)) && Number(req.query.fromBlock) >= 0)) {
+        res.status(400).send("fromBlock must be a block number");
+        return
+    }
+
+    try {
+        const provider = getProvider(chain);
+        const snapshot = new SnapshotProvider(provider, await provider.getBlockNumber());
+        // Spenders are looked up where audits look for verified source
+        const lookup = new TokenSecurityChecker(chain, { provider });
+        const scan = await scanApprovals(snapshot, chain, req.query.address, {
+            cachedAudit: tokenAddress => cachedAudit(chain, tokenAddress),
+            audit: tokenAddresses => auditInPool(chain, tokenAddresses),
+            isVerified: async address => Boolean(await lookup.getVerifiedContract(address)),
+        }, {
+            fromBlock: req.query.fromBlock !== undefined ? Number(req.query.fromBlock) : undefined,
+            lookbackBlocks: approvalsLookbackBlocks,
+            maxAudits: approvalsMaxAudits,
+        });
+        res.send({ chain: describeChain(chain), ...scan });
+    } catch (error) {
+        console.error('Error scanning approvals:', error);
+        res.status(500).send("Error reading the wallet's approvals");
+    }
+})
+
+// Audits a list of tokens in the background; progress is read from /jobs/:id
+app.post("/audit/batch", async (req, res) => {
+    const chainId = req.body.chain || defaultChain;
+    const tokenAddresses = req.body.tokenAddresses;
+    if (!chains[chainId]) {
+        res.status(400).send(`Unsupported chain, expected one of: ${Object.keys(chains).join(', ')}`);
+        return
+    }
+    if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
+        res.status(400).send("tokenAddresses must be a non-empty list");
+        return
+    }
+    if (tokenAddresses.length > batchMaxTokens) {
+        res.status(400).send(`At most ${batchMaxTokens} tokens per batch`);
+        return
+    }
+    const selection = selectChecks(checkRegistry, req.body);
+    if (selection.error) {
+        res.status(400).send(selection.error);
+        return
+    }
+
+    // Each entry is validated on its own, a bad address fails only that entry
+    const job = jobs.create(tokenAddresses, async entry => {
+        const { chain, tokenAddress, error } = parseTokenQuery({ chain: chainId, tokenAddress: entry });
+        if (error) {
+            throw new Error(error);
+        }
+        const audit = await auditToken(chain, tokenAddress, req.body.refresh === true, selection.checks);
+        if (audit.error || audit.result.error) {
+            throw new Error(audit.error || audit.result.error);
+        }
+        return audit.result;
+    });
+
+    res.status(202).send({ jobId: job.id, total: tokenAddresses.length });
+})
+
+// Server-sent events: the current state first, then every finished token
+// and progress update until the job is done; ?stream=false for a single snapshot
+app.get("/jobs/:id", async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        res.status(404).send("Job not found");
+        return
+    }
+    if (req.query.stream === 'false') {
+        res.send(job.snapshot());
+        return
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send("snapshot", job.snapshot());
+    if (job.done) {
+        send("done", job.snapshot().progress);
+        res.end();
+        return
+    }
+
+    const onEntry = entry => send("entry", entry);
+    const onProgress = progress => send("progress", progress);
+    const onDone = snapshot => {
+        send("done", snapshot.progress);
+        res.end();
+    };
+    job.on("entry", onEntry);
+    job.on("progress", onProgress);
+    job.once("done", onDone);
+    req.on("close", () => {
+        job.off("entry", onEntry);
+        job.off("progress", onProgress);
+        job.off("done", onDone);
+    });
+})
+
+// The audit rendered for people or code-scanning tools: a stored audit by ?id=,
+// or the token's audit as /audit would return it
+app.get("/audit/report", async (req, res) => {
+    const format = req.query.format || 'md';
+    if (!FORMATS[format]) {
+        res.status(400).send(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+        return
+    }
+
+    let result;
+    if (req.query.id) {
+        const stored = history.get(Number(req.query.id));
+        if (!stored) {
+            res.status(404).send("Audit not found");
+            return
+        }
+        result = stored.result;
+    } else {
+        const { chain, tokenAddress, error } = parseTokenQuery(req.query);
+        if (error) {
+            res.status(400).send(error);
+            return
+        }
+        const selection = selectChecks(checkRegistry, req.query);
+        if (selection.error) {
+            res.status(400).send(selection.error);
+            return
+        }
+        let audit;
+        try {
+            audit = await auditToken(chain, tokenAddress, req.query.refresh === 'true', selection.checks);
+        } catch (error) {
+            console.error('Error auditing token:', error);
+            res.status(500).send("Error auditing the token");
+            return
+        }
+        if (audit.error) {
+            res.status(400).send(audit.error);
+            return
+        }
+        if (audit.result.error) {
+            res.status(500).send(audit.result.error);
+            return
+        }
+        result = audit.result;
+    }
+
+    res.type(FORMATS[format].contentType);
+    res.send(renderReport(result, chains[result.chain.id], format));
+})
+
+app.get("/audit/history", async (req, res) => {
+    const { chain, tokenAddress, error } = parseTokenQuery(req.query);
+    if (error) {
+        res.status(400).send(error);
+        return
+    }
+
+    res.send({
+        chain: chain.id,
+        tokenAddress,
+        audits: history.list(chain.id, tokenAddress),
+    });
+})
+
+// Two audits by id (?from=&to=), or the last two audits of a token
+app.get("/audit/diff", async (req, res) => {
+    let before;
+    let after;
+    if (req.query.from && req.query.to) {
+        before = history.get(Number(req.query.from));
+        after = history.get(Number(req.query.to));
+    } else {
+        const { chain, tokenAddress, error } = parseTokenQuery(req.query);
+        if (error) {
+            res.status(400).send(error);
+            return
+        }
+        const [latest, previous] = history.list(chain.id, tokenAddress, 2);
+        before = previous && history.get(previous.id);
+        after = latest && history.get(latest.id);
+    }
+
+    if (!before || !after) {
+        res.status(404).send("Two audits are needed to compare");
+        return
+    }
+    res.send(diffAudits(before, after));
+})
+
+// Register a webhook for a token; the response carries the signing secret
+app.post("/watches", async (req, res) => {
+    const { chain, tokenAddress, error } = parseTokenQuery(req.body);
+    if (error) {
+        res.status(400).send(error);
+        return
+    }
+    if (!/^https?:\/\//.test(req.body.webhookUrl || '')) {
+        res.status(400).send("webhookUrl must be an http(s) URL");
+        return
+    }
+
+    try {
+        const contractError = await checkContract(chain, tokenAddress);
+        if (contractError) {
+            res.status(400).send(contractError);
+            return
+        }
+
+        const startBlock = await getProvider(chain).getBlockNumber();
+        const watch = watchList.add(chain.id, tokenAddress, req.body.webhookUrl, startBlock);
+        res.status(201).send(watch);
+    } catch (error) {
+        console.error('Error registering watch:', error);
+        res.status(500).send("Error reading the token's chain");
+    }
+})
+
+app.get("/watches", async (req, res) => {
+    res.send({
+        watches: watchList.list({ chain: req.query.chain, tokenAddress: req.query.tokenAddress }),
+    });
+})
+
+app.delete("/watches/:id", async (req, res) => {
+    if (!watchList.remove(Number(req.params.id))) {
+        res.status(404).send("Watch not found");
+        return
+    }
+    res.status(204).send();
+})
+
+// Label a contract malicious or safe; audits of its clones report it as their closest template
+app.post("/fingerprints", async (req, res) => {
+    const { chain, tokenAddress, error } = parseTokenQuery(req.body);
+    if (error) {
+        res.status(400).send(error);
+        return
+    }
+    if (typeof req.body.label !== 'string' || req.body.label.trim() === '') {
+        res.status(400).send("label is required");
+        return
+    }
+    if (!VERDICTS.includes(req.body.verdict)) {
+        res.status(400).send(`verdict must be one of: ${VERDICTS.join(', ')}`);
+        return
+    }
+
+    try {
+        const { codeAddress, fingerprint, error: codeError } = await fingerprintContract(getProvider(chain), tokenAddress);
+        if (codeError) {
+            res.status(400).send(codeError);
+            return
+        }
+        const entry = fingerprintDatabase().add(chain.id, tokenAddress, {
+            label: req.body.label.trim(),
+            verdict: req.body.verdict,
+            note: req.body.note,
+        }, fingerprint);
+        res.status(201).send({ ...entry, codeAddress });
+    } catch (error) {
+        console.error('Error fingerprinting contract:', error);
+        res.status(500).send("Error reading the contract's bytecode");
+    }
+})
+
+app.get("/fingerprints", async (req, res) => {
+    res.send({
+        fingerprints: fingerprintDatabase().list({ verdict: req.query.verdict }),
+    });
+})
+
+app.delete("/fingerprints/:id", async (req, res) => {
+    if (!fingerprintDatabase().remove(Number(req.params.id))) {
+        res.status(404).send("Fingerprint not found");
+        return
+    }
+    res.status(204).send();
+})
+
+function startServer(port) {
+    watcher.start();
+    return app.listen(port, () => {
+        console.log(`Example app listening on port ${port}`)
+    });
+}
+
+module.exports = {
+    app,
+    startServer,
+};
@@ -0,0 +1,155 @@
+// A provider pinned to one block, so every read of an audit sees the same
+// chain state, and that folds the plain eth_calls made close together into
+// one Multicall3 call where the chain has Multicall3 deployed
+const { ethers } = require('ethers');
+const { withDefaults } = require('./utils');
+
+// Same address on every chain it is deployed to
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3 = new ethers.utils.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+const DEFAULT_OPTIONS = {
+    // Calls arriving within this window share one multicall
+    batchWindowMs: 10,
+    // Largest number of calls in one multicall
+    maxBatchSize: 100,
+};
+
+class SnapshotProvider extends ethers.providers.BaseProvider {
+    constructor(provider, blockNumber, options = {}) {
+        super(provider.getNetwork());
+        this.provider = provider;
+        // BaseProvider already has a blockNumber getter
+        this.pinnedBlock = blockNumber;
+        this.blockTag = ethers.utils.hexValue(blockNumber);
+        this.settings = withDefaults(DEFAULT_OPTIONS, options);
+        this.pending = [];
+        this.timer = null;
+        this.multicall = null;
+    }
+
+    detectNetwork() {
+        return this.provider.getNetwork();
+    }
+
+    async perform(method, params) {
+        if (method === 'getBlockNumber') {
+            return this.pinnedBlock;
+        }
+        if (method === 'getLogs') {
+            return this.provider.perform(method, { ...params, filter: this.pinFilter(params.filter) });
+        }
+
+        const pinned = params.blockTag === 'latest' || params.blockTag === 'pending'
+            ? { ...params, blockTag: this.blockTag }
+            : params;
+        if (method === 'call' && batchable(pinned.transaction) && pinned.blockTag === this.blockTag) {
+            return this.queueCall(pinned);
+        }
+        return this.provider.perform(method, pinned);
+    }
+
+    // Log scans up to "latest" stop at the pinned block
+    pinFilter(filter) {
+        if (filter.blockHash) {
+            return filter;
+        }
+        const pin = tag => (tag === undefined || tag === 'latest' || tag === 'pending' ? this.blockTag : tag);
+        return { ...filter, fromBlock: filter.fromBlock === undefined ? undefined : pin(filter.fromBlock), toBlock: pin(filter.toBlock) };
+    }
+
+    queueCall(params) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ params, resolve, reject });
+            if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.settings.batchWindowMs);
+            }
+        });
+    }
+
+    async flush() {
+        this.timer = null;
+        const pending = this.pending;
+        this.pending = [];
+
+        const useMulticall = pending.length > 1 && await this.hasMulticall();
+        for (let start = 0; start < pending.length; start += this.settings.maxBatchSize) {
+            const batch = pending.slice(start, start + this.settings.maxBatchSize);
+            if (useMulticall && batch.length > 1) {
+                this.aggregate(batch);
+            } else {
+                batch.forEach(entry => this.callDirectly(entry));
+            }
+        }
+    }
+
+    hasMulticall() {
+        if (!this.multicall) {
+            this.multicall = this.provider.getCode(MULTICALL3_ADDRESS, this.pinnedBlock)
+                .then(code => code !== '0x', () => false);
+        }
+        return this.multicall;
+    }
+
+    async aggregate(batch) {
+        let results;
+        try {
+            const data = MULTICALL3.encodeFunctionData('aggregate3', [batch.map(({ params }) => ({
+                target: params.transaction.to,
+                allowFailure: true,
+                callData: params.transaction.data || '0x',
+            }))]);
+            const result = await this.provider.perform('call', {
+                transaction: { to: MULTICALL3_ADDRESS, data },
+                blockTag: this.blockTag,
+            });
+            [results] = MULTICALL3.decodeFunctionResult('aggregate3', result);
+        } catch (error) {
+            // The whole multicall failed, e.g. out of gas; ask for each call on its own
+            console.error('Error running multicall, falling back to single calls:', error.message);
+            batch.forEach(entry => this.callDirectly(entry));
+            return;
+        }
+
+        batch.forEach(({ params, resolve, reject }, index) => {
+            const { success, returnData } = results[index];
+            // Revert data is returned as the call result, as JsonRpcProvider does,
+            // so ethers decodes the reason; a bare revert has none to decode
+            if (success || returnData !== '0x') {
+                resolve(returnData);
+            } else {
+                reject(revertError(params.transaction));
+            }
+        });
+    }
+
+    callDirectly({ params, resolve, reject }) {
+        this.provider.perform('call', params).then(resolve, reject);
+    }
+}
+
+// Multicall3 becomes msg.sender, so calls that depend on the sender, send
+// value or set gas go to the node as they are
+function batchable(transaction) {
+    return Boolean(transaction && transaction.to)
+        && !transaction.from
+        && (!transaction.value || ethers.BigNumber.from(transaction.value).isZero())
+        && !transaction.gasLimit
+        && transaction.to.toLowerCase() !== MULTICALL3_ADDRESS.toLowerCase();
+}
+
+// The error JsonRpcProvider raises for a revert without data
+function revertError(transaction) {
+    return ethers.logger.makeError(
+        'missing revert data in call exception; Transaction reverted without a reason string',
+        ethers.errors.CALL_EXCEPTION,
+        { data: '0x', transaction }
+    );
+}
+
+module.exports = {
+    MULTICALL3_ADDRESS,
+    SnapshotProvider,
+};
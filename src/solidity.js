@@ -0,0 +1,922 @@
+// Solidity-aware source analysis: parse the verified source into an AST and
+// answer structural questions instead of grepping the raw text. Comments,
+// strings, interfaces and libraries never produce findings here.
+const parser = require('@solidity-parser/parser');
+const { ADMIN_NAME_PATTERN } = require('./roles');
+
+// Functions every ERC20 transfer runs through, whatever the token calls its internals
+const TRANSFER_ENTRYPOINTS = [
+    'transfer',
+    'transferFrom',
+    '_transfer',
+    '_tokenTransfer',
+    '_beforeTokenTransfer',
+    '_afterTokenTransfer',
+    '_update',
+];
+
+const MINT_FUNCTIONS = ['_mint'];
+const SUPPLY_VARIABLES = ['_totalSupply', 'totalSupply', '_tTotal'];
+const OWNER_GETTERS = ['owner', 'getOwner'];
+
+const SUSPICIOUS_FUNCTION_PATTERNS = [
+    /setTaxFeePercent/i,
+    /setMaxTxAmount/i,
+    /excludeFromFee/i,
+    /setBlacklistEnabled/i,
+    /setCanTransfer/i,
+    /setRouterAddress/i,
+    /setSwapEnabled/i,
+    /updateFee/i,
+];
+
+// Fee and tax variables, and the setters that change them after launch
+const FEE_NAME_PATTERN = /fee|tax/i;
+// setTaxFeePercent, updateFee, setBuyTaxes... but not setFeeWallet
+const FEE_SETTER_PATTERN = /^(set|update)\w*(fee|tax)(e?s)?(percent|rate)?$/i;
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>='];
+const MUTATING_UNARY_OPERATORS = ['++', '--', 'delete'];
+const SKIPPED_CONTRACT_KINDS = ['interface', 'library'];
+
+class SourceAnalyzer {
+    // One AST per source file; a contract repeated across files is indexed once
+    constructor(files) {
+        this.stateVariables = new Map();
+        this.callables = [];
+        this.callablesByName = new Map();
+
+        const contracts = new Map();
+        // Interfaces hold no state; enums and structs are sized for the storage layout
+        this.interfaces = new Set();
+        this.enums = new Set();
+        this.structs = new Map();
+        for (const file of files) {
+            for (const node of file.ast.children) {
+                if (node.type === 'ContractDefinition' && !SKIPPED_CONTRACT_KINDS.includes(node.kind) && !contracts.has(node.name)) {
+                    contracts.set(node.name, { file: file.path, node });
+                } else if (node.type === 'ContractDefinition' && node.kind === 'interface') {
+                    this.interfaces.add(node.name);
+                }
+            }
+            parser.visit(file.ast, {
+                EnumDefinition: node => this.enums.add(node.name),
+                StructDefinition: node => this.structs.set(node.name, node.members),
+            });
+        }
+        this.contracts = contracts;
+        // State variables first, functions in a base contract write variables of derived ones
+        contracts.forEach(contract => this.indexStateVariables(contract.node));
+        contracts.forEach(contract => this.indexCallables(contract.node, contract.file));
+
+        this.ownerVariables = new Set(['_owner']);
+        for (const name of OWNER_GETTERS) {
+            for (const callable of this.lookup(name)) {
+                if (callable.returnsVariable) {
+                    this.ownerVariables.add(callable.returnsVariable);
+                }
+            }
+        }
+    }
+
+    // A flattened source string, or the verified files as [{ path, content }]
+    static parse(sources) {
+        const list = typeof sources === 'string' ? [{ path: null, content: sources }] : sources;
+        const files = [];
+        for (const source of list) {
+            try {
+                files.push({ path: source.path, ast: parser.parse(source.content, { loc: true }) });
+            } catch (error) {
+                console.error(`Error parsing ${source.path || 'source code'}:`, error.message);
+            }
+        }
+        return files.length > 0 ? new SourceAnalyzer(files) : null;
+    }
+
+    indexStateVariables(contract) {
+        for (const node of contract.subNodes) {
+            if (node.type === 'StateVariableDeclaration') {
+                for (const variable of node.variables) {
+                    this.stateVariables.set(variable.name, {
+                        contract: contract.name,
+                        name: variable.name,
+                        visibility: variable.visibility,
+                        isConstant: Boolean(variable.isDeclaredConst || variable.isImmutable),
+                        isMapping: variable.typeName.type === 'Mapping',
+                        isBool: isBoolType(variable.typeName),
+                        isInteger: variable.typeName.type === 'ElementaryTypeName' && /^u?int\d*$/.test(variable.typeName.name),
+                        isAddress: variable.typeName.type === 'ElementaryTypeName' && variable.typeName.name.startsWith('address'),
+                        isBoolMapping: variable.typeName.type === 'Mapping' && isBoolType(variable.typeName.valueType),
+                    });
+                }
+            }
+        }
+    }
+
+    indexCallables(contract, file) {
+        for (const node of contract.subNodes) {
+            if (node.type === 'FunctionDefinition' || node.type === 'ModifierDefinition') {
+                const callable = this.describeCallable(contract.name, node, file);
+                this.callables.push(callable);
+                if (!this.callablesByName.has(callable.name)) {
+                    this.callablesByName.set(callable.name, []);
+                }
+                this.callablesByName.get(callable.name).push(callable);
+            }
+        }
+    }
+
+    describeCallable(contractName, node, file = null) {
+        let kind = 'function';
+        let name = node.name;
+        if (node.type === 'ModifierDefinition') {
+            kind = 'modifier';
+        } else if (node.isConstructor) {
+            kind = name = 'constructor';
+        } else if (node.isReceiveEther) {
+            kind = name = 'receive';
+        } else if (node.isFallback) {
+            kind = name = 'fallback';
+        }
+
+        const callable = {
+            file,
+            contract: contractName,
+            name,
+            kind,
+            visibility: node.visibility || 'default',
+            stateMutability: node.stateMutability || null,
+            modifiers: (node.modifiers || []).map(modifier => modifier.name),
+            parameterCount: (node.parameters || []).length,
+            line: node.loc.start.line,
+            calls: new Set(),
+            // Calls made outside `from == address(0)` branches
+            unguardedCalls: new Set(),
+            writes: new Set(),
+            // Per written variable: 'true', 'false' or 'expression' for what is assigned
+            assignedValues: new Map(),
+            increases: new Set(),
+            guards: [],
+            dangerous: [],
+            returnsVariable: null,
+        };
+
+        if (node.body) {
+            this.walkBody(callable, node.body);
+        }
+        return callable;
+    }
+
+    walkBody(callable, body) {
+        const stateVariables = this.stateVariables;
+        // Bodies of `if (from == address(0))` branches: the mint branch of a
+        // shared update hook such as OpenZeppelin 5's _update
+        const mintBranches = [];
+        const addCall = (name, node) => {
+            callable.calls.add(name);
+            if (!mintBranches.some(branch => contains(branch, node.loc))) {
+                callable.unguardedCalls.add(name);
+            }
+        };
+
+        parser.visit(body, {
+            FunctionCall(node) {
+                const callee = node.expression;
+                if (callee.type === 'Identifier') {
+                    if ((callee.name === 'require' || callee.name === 'assert') && node.arguments.length > 0) {
+                        callable.guards.push({
+                            condition: node.arguments[0],
+                            revertsWhen: false,
+                            line: node.loc.start.line,
+                        });
+                    } else if (callee.name === 'selfdestruct' || callee.name === 'suicide') {
+                        callable.dangerous.push({ detail: 'selfdestruct', line: node.loc.start.line });
+                    } else {
+                        addCall(callee.name, node);
+                    }
+                } else if (callee.type === 'MemberAccess') {
+                    if (callee.memberName === 'delegatecall') {
+                        callable.dangerous.push({ detail: 'delegatecall', line: node.loc.start.line });
+                    } else if (callee.expression.type === 'Identifier' &&
+                        ['super', 'this'].includes(callee.expression.name)) {
+                        addCall(callee.memberName, node);
+                    }
+                }
+            },
+            IfStatement(node) {
+                if (comparesWithZeroAddress(node.condition)) {
+                    mintBranches.push(node.trueBody.loc);
+                }
+                if (revertsImmediately(node.trueBody)) {
+                    callable.guards.push({
+                        condition: node.condition,
+                        revertsWhen: true,
+                        line: node.loc.start.line,
+                    });
+                }
+            },
+            BinaryOperation(node) {
+                if (ASSIGNMENT_OPERATORS.includes(node.operator)) {
+                    const target = assignedVariable(node.left);
+                    if (target && stateVariables.has(target)) {
+                        callable.writes.add(target);
+                        if (!callable.assignedValues.has(target)) {
+                            callable.assignedValues.set(target, new Set());
+                        }
+                        callable.assignedValues.get(target).add(node.operator === '=' && node.right.type === 'BooleanLiteral'
+                            ? String(node.right.value)
+                            : 'expression');
+                        if (increasesValue(node) && !mintBranches.some(branch => contains(branch, node.loc))) {
+                            callable.increases.add(target);
+                        }
+                    }
+                }
+            },
+            UnaryOperation(node) {
+                if (MUTATING_UNARY_OPERATORS.includes(node.operator)) {
+                    const target = assignedVariable(node.subExpression);
+                    if (target && stateVariables.has(target)) {
+                        callable.writes.add(target);
+                        if (node.operator === '++') {
+                            callable.increases.add(target);
+                        }
+                    }
+                }
+            },
+            InlineAssemblyStatement(node) {
+                callable.dangerous.push({ detail: 'inline assembly', line: node.loc.start.line });
+            },
+            ReturnStatement(node) {
+                if (node.expression && node.expression.type === 'Identifier') {
+                    callable.returnsVariable = node.expression.name;
+                }
+            },
+        });
+    }
+
+    lookup(name) {
+        return this.callablesByName.get(name) || [];
+    }
+
+    // Everything that runs when any of the given callables runs, modifiers
+    // included; calls names the calls followed out of each callable
+    closure(roots, calls = callable => callable.calls) {
+        const seen = new Set();
+        const queue = [...roots];
+
+        while (queue.length > 0) {
+            const callable = queue.shift();
+            if (seen.has(callable)) {
+                continue;
+            }
+            seen.add(callable);
+            for (const name of [...calls(callable), ...callable.modifiers]) {
+                queue.push(...this.lookup(name));
+            }
+        }
+        return [...seen];
+    }
+
+    writesOf(callable) {
+        const writes = new Set();
+        for (const reached of this.closure([callable])) {
+            reached.writes.forEach(name => writes.add(name));
+        }
+        return writes;
+    }
+
+    // Owner-only in the broad sense: some guard on the path compares the caller
+    // against an address or checks it in a role mapping
+    isPrivileged(callable) {
+        // onlyXxx modifiers count even when their definition is not in the source
+        if (callable.modifiers.some(name => /^only/i.test(name))) {
+            return true;
+        }
+        return this.closure([callable]).some(reached =>
+            reached.guards.some(checksCaller)
+        );
+    }
+
+    transferPath() {
+        return this.closure(TRANSFER_ENTRYPOINTS.flatMap(name => this.lookup(name)));
+    }
+
+    entrypoints() {
+        return this.callables.filter(callable =>
+            callable.kind === 'function' &&
+            ['public', 'external', 'default'].includes(callable.visibility)
+        );
+    }
+
+    // An external function of that name that only a privileged caller gets through
+    isOwnerOnly(name) {
+        return this.entrypoints().some(callable => callable.name === name && this.isPrivileged(callable));
+    }
+
+    privilegedWriters(variable) {
+        return this.entrypoints().filter(callable =>
+            this.writesOf(callable).has(variable) && this.isPrivileged(callable)
+        );
+    }
+
+    // `_mint` or a supply write reachable from an external function,
+    // constructors excluded. Calls and supply increases in a
+    // `from == address(0)` branch only run for mints, so the standard mint
+    // branch of _update or _transfer does not count; transfer and
+    // transferFrom are reported when they mint outside of one
+    findMintPaths() {
+        const findings = [];
+
+        for (const entry of this.entrypoints()) {
+            const reached = this.closure([entry], callable => callable.unguardedCalls);
+            const target = reached.find(callable =>
+                MINT_FUNCTIONS.includes(callable.name) ||
+                SUPPLY_VARIABLES.some(name => callable.increases.has(name))
+            );
+            if (target) {
+                findings.push(finding(entry, `${entry.name}() reaches ${target.name}()`));
+            }
+        }
+        return findings;
+    }
+
+    // Mappings that the transfer path checks in a revert condition and that an
+    // owner-only function can write: blacklists block when the flag is set,
+    // whitelists block when it is not
+    findAccessLists() {
+        const lists = { blacklist: [], whitelist: [] };
+
+        for (const callable of this.transferPath()) {
+            for (const guard of callable.guards) {
+                for (const read of guardReads(guard)) {
+                    const variable = this.stateVariables.get(read.name);
+                    if (read.kind !== 'index' || !variable || !variable.isBoolMapping || read.blocksWhenSet === null) {
+                        continue;
+                    }
+                    const writers = this.privilegedWriters(read.name);
+                    if (writers.length === 0) {
+                        continue;
+                    }
+                    const type = read.blocksWhenSet ? 'blacklist' : 'whitelist';
+                    lists[type].push(finding(
+                        callable,
+                        `${callable.name}() reverts on ${read.name}[...], writable by ${writers.map(writer => writer.name + '()').join(', ')}`,
+                        guard.line
+                    ));
+                }
+            }
+        }
+        return {
+            blacklist: uniqueFindings(lists.blacklist),
+            whitelist: uniqueFindings(lists.whitelist),
+        };
+    }
+
+    // Per-address timing checks in the transfer path
+    findTransferCooldown() {
+        const findings = [];
+
+        for (const callable of this.transferPath()) {
+            for (const guard of callable.guards) {
+                const reads = guardReads(guard);
+                const usesTime = reads.some(read => read.kind === 'time');
+                const perAddress = reads.find(read => read.kind === 'index' && this.stateVariables.has(read.name));
+                if (usesTime && perAddress) {
+                    findings.push(finding(
+                        callable,
+                        `${callable.name}() compares ${perAddress.name}[...] against the block time`,
+                        guard.line
+                    ));
+                }
+            }
+        }
+        return uniqueFindings(findings);
+    }
+
+    // A global flag checked by the transfer path that an owner-only function can flip
+    findPauseSwitch() {
+        const findings = [];
+
+        for (const callable of this.transferPath()) {
+            for (const guard of callable.guards) {
+                for (const read of guardReads(guard)) {
+                    const name = read.kind === 'call' ? this.getterVariable(read.name) : read.name;
+                    const variable = name && this.stateVariables.get(name);
+                    if (!['var', 'call'].includes(read.kind) || !variable || !variable.isBool || variable.isConstant) {
+                        continue;
+                    }
+                    const writers = this.privilegedWriters(name);
+                    if (writers.length > 0) {
+                        findings.push(finding(
+                            callable,
+                            `${callable.name}() reverts on ${name}, switchable by ${writers.map(writer => writer.name + '()').join(', ')}`,
+                            guard.line
+                        ));
+                    }
+                }
+            }
+        }
+        return uniqueFindings(findings);
+    }
+
+    // Caller checks against addresses other than the visible owner, plus
+    // self-destruct, delegatecall and inline assembly in the token's own contracts
+    findHiddenOwner() {
+        const findings = [];
+
+        for (const callable of this.callables) {
+            if (callable.kind === 'constructor') {
+                continue;
+            }
+            for (const guard of callable.guards) {
+                for (const target of callerComparisons(guard.condition)) {
+                    const hidden = this.describeHiddenTarget(target);
+                    if (hidden) {
+                        findings.push(finding(callable, `caller compared against ${hidden}`, guard.line));
+                    }
+                }
+            }
+            for (const operation of callable.dangerous) {
+                findings.push(finding(callable, operation.detail, operation.line));
+            }
+        }
+        return findings;
+    }
+
+    describeHiddenTarget(node) {
+        if (isAddressLiteral(node)) {
+            return 'a hardcoded address';
+        }
+        if (node.type === 'Identifier') {
+            const variable = this.stateVariables.get(node.name);
+            if (variable && variable.visibility !== 'public' && !this.ownerVariables.has(node.name)) {
+                return `non-public variable ${node.name}`;
+            }
+        }
+        return null;
+    }
+
+    findSuspiciousFunctions() {
+        const findings = [];
+
+        for (const callable of this.entrypoints()) {
+            if (SUSPICIOUS_FUNCTION_PATTERNS.some(pattern => pattern.test(callable.name)) && this.isPrivileged(callable)) {
+                findings.push(finding(callable, `owner-only ${callable.name}()`));
+            }
+        }
+        for (const callable of this.callables) {
+            for (const operation of callable.dangerous) {
+                if (operation.detail !== 'inline assembly') {
+                    findings.push(finding(callable, operation.detail, operation.line));
+                }
+            }
+        }
+        return findings;
+    }
+
+    // Public fee variables and argument-less view functions named like fees
+    findFeeGetters() {
+        const names = new Set();
+
+        for (const variable of this.stateVariables.values()) {
+            if (variable.visibility === 'public' && !variable.isMapping && !variable.isAddress && FEE_NAME_PATTERN.test(variable.name)) {
+                names.add(variable.name);
+            }
+        }
+        for (const callable of this.entrypoints()) {
+            const isView = ['view', 'pure'].includes(callable.stateMutability);
+            if (isView && callable.parameterCount === 0 && FEE_NAME_PATTERN.test(callable.name)) {
+                names.add(callable.name);
+            }
+        }
+        return [...names];
+    }
+
+    // Owner-only functions that write a fee variable or are named like fee setters.
+    // Fee exemption mappings (excludeFromFee) and fee wallets do not change the rate, so they are skipped
+    findFeeSetters() {
+        const findings = [];
+
+        for (const callable of this.entrypoints()) {
+            if (!this.isPrivileged(callable)) {
+                continue;
+            }
+            const feeWrites = [...this.writesOf(callable)].filter(name => {
+                const variable = this.stateVariables.get(name);
+                return variable && !variable.isMapping && !variable.isAddress && !variable.isConstant && FEE_NAME_PATTERN.test(name);
+            });
+            if (feeWrites.length > 0) {
+                findings.push(finding(callable, `owner-only ${callable.name}() writes ${feeWrites.join(', ')}`));
+            } else if (FEE_SETTER_PATTERN.test(callable.name)) {
+                findings.push(finding(callable, `owner-only ${callable.name}()`));
+            }
+        }
+        return findings;
+    }
+
+    // Public address variables and argument-less view functions with admin-style names
+    findAdminGetters() {
+        const names = new Set();
+
+        for (const variable of this.stateVariables.values()) {
+            if (variable.visibility === 'public' && variable.isAddress && ADMIN_NAME_PATTERN.test(variable.name)) {
+                names.add(variable.name);
+            }
+        }
+        for (const callable of this.entrypoints()) {
+            const isView = ['view', 'pure'].includes(callable.stateMutability);
+            // isOwner() and friends answer a question about the caller, they do not name anyone
+            const isPredicate = /^(is|has|can)[A-Z_]/.test(callable.name);
+            if (isView && callable.parameterCount === 0 && !isPredicate && ADMIN_NAME_PATTERN.test(callable.name)) {
+                names.add(callable.name);
+            }
+        }
+        return [...names];
+    }
+
+    // Owner-only functions that can set one of the given flags to anything but
+    // true, i.e. turn trading off again; a one-way enableTrading() is not one
+    findTradingSwitches(names) {
+        const findings = [];
+
+        for (const name of names) {
+            const variable = this.stateVariables.get(name);
+            if (!variable || !variable.isBool || variable.isConstant) {
+                continue;
+            }
+            for (const callable of this.privilegedWriters(name)) {
+                const values = new Set();
+                for (const reached of this.closure([callable])) {
+                    (reached.assignedValues.get(name) || []).forEach(value => values.add(value));
+                }
+                if ([...values].some(value => value !== 'true')) {
+                    findings.push(finding(callable, `${callable.name}() can set ${name} to false`));
+                }
+            }
+        }
+        return uniqueFindings(findings);
+    }
+
+    // Slot, byte offset and size of the state variables of `contractName`, laid
+    // out as solc does: the most basic contract first, value types packed into
+    // 32-byte slots. Variables after one of unknown size are left out
+    storageLayout(contractName) {
+        const layout = new Map();
+        const order = this.linearize(contractName);
+        if (!order) {
+            return layout;
+        }
+
+        let slot = 0;
+        let offset = 0;
+        for (const name of [...order].reverse()) {
+            for (const node of this.contracts.get(name).node.subNodes) {
+                if (node.type !== 'StateVariableDeclaration') {
+                    continue;
+                }
+                for (const variable of node.variables) {
+                    if (variable.isDeclaredConst || variable.isImmutable) {
+                        continue;
+                    }
+                    const size = this.storageSize(variable.typeName);
+                    if (size === null) {
+                        return layout;
+                    }
+                    // Whole-slot types start a slot and end it; value types share one while they fit
+                    if (offset > 0 && (size >= 32 || offset + size > 32)) {
+                        slot++;
+                        offset = 0;
+                    }
+                    layout.set(variable.name, { slot, offset, size });
+                    if (size >= 32) {
+                        slot += Math.ceil(size / 32);
+                    } else {
+                        offset += size;
+                    }
+                }
+            }
+        }
+        return layout;
+    }
+
+    // C3 linearization, most derived first; null when a base is not in the source
+    linearize(contractName) {
+        const contract = this.contracts.get(contractName);
+        if (!contract) {
+            return null;
+        }
+        const bases = contract.node.baseContracts
+            .map(base => base.baseName.namePath)
+            .filter(name => !this.interfaces.has(name))
+            .reverse();
+        const sequences = bases.map(name => this.linearize(name));
+        if (sequences.includes(null)) {
+            return null;
+        }
+        sequences.push(bases);
+
+        const result = [contractName];
+        while (sequences.some(sequence => sequence.length > 0)) {
+            const candidate = sequences
+                .map(sequence => sequence[0])
+                .find(head => head && sequences.every(sequence => !sequence.slice(1).includes(head)));
+            if (!candidate) {
+                return null;
+            }
+            result.push(candidate);
+            sequences.forEach((sequence, index) => {
+                sequences[index] = sequence.filter(name => name !== candidate);
+            });
+        }
+        return result;
+    }
+
+    // Bytes a variable of this type takes in storage; 32 or more for types
+    // that occupy whole slots, null for ones not worked out here (fixed arrays)
+    storageSize(typeName) {
+        if (typeName.type === 'Mapping') {
+            return 32;
+        }
+        if (typeName.type === 'ArrayTypeName') {
+            return typeName.length ? null : 32;
+        }
+        if (typeName.type === 'UserDefinedTypeName') {
+            if (this.enums.has(typeName.namePath)) {
+                return 1;
+            }
+            if (this.structs.has(typeName.namePath)) {
+                let slots = 0;
+                let offset = 0;
+                for (const member of this.structs.get(typeName.namePath)) {
+                    const size = this.storageSize(member.typeName);
+                    if (size === null) {
+                        return null;
+                    }
+                    if (offset > 0 && (size >= 32 || offset + size > 32)) {
+                        slots++;
+                        offset = 0;
+                    }
+                    if (size >= 32) {
+                        slots += Math.ceil(size / 32);
+                    } else {
+                        offset += size;
+                    }
+                }
+                return 32 * (slots + (offset > 0 ? 1 : 0));
+            }
+            // Contracts and interfaces are stored as addresses
+            return 20;
+        }
+        if (typeName.type !== 'ElementaryTypeName') {
+            return null;
+        }
+
+        const name = typeName.name;
+        if (name === 'bool' || name === 'byte') {
+            return 1;
+        }
+        if (name.startsWith('address')) {
+            return 20;
+        }
+        if (name === 'string' || name === 'bytes') {
+            return 32;
+        }
+        const sized = name.match(/^(u?int)(\d*)$/);
+        if (sized) {
+            return sized[2] ? Number(sized[2]) / 8 : 32;
+        }
+        const fixedBytes = name.match(/^bytes(\d+)$/);
+        return fixedBytes ? Number(fixedBytes[1]) : null;
+    }
+
+    // AccessControl role constants, e.g. MINTER_ROLE
+    findRoleNames() {
+        return [...this.stateVariables.values()]
+            .filter(variable => variable.isConstant && /_ROLE$/.test(variable.name))
+            .map(variable => variable.name);
+    }
+
+    getterVariable(name) {
+        const getter = this.lookup(name).find(callable => callable.returnsVariable);
+        return getter ? getter.returnsVariable : null;
+    }
+}
+
+function finding(callable, detail, line = callable.line) {
+    return {
+        file: callable.file,
+        contract: callable.contract,
+        function: callable.name,
+        line,
+        detail,
+    };
+}
+
+// The same guard often checks both sides of a transfer
+function uniqueFindings(findings) {
+    const seen = new Set();
+    return findings.filter(entry => {
+        const key = `${entry.file}:${entry.contract}:${entry.line}:${entry.detail}`;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+function isBoolType(typeName) {
+    return typeName && typeName.type === 'ElementaryTypeName' && typeName.name === 'bool';
+}
+
+function revertsImmediately(body) {
+    const statements = body.type === 'Block' ? body.statements : [body];
+    return statements.some(statement =>
+        statement.type === 'RevertStatement' ||
+        (statement.type === 'ExpressionStatement' &&
+            statement.expression &&
+            statement.expression.type === 'FunctionCall' &&
+            statement.expression.expression.type === 'Identifier' &&
+            statement.expression.expression.name === 'revert')
+    );
+}
+
+// `balances[a][b] = x` writes `balances`
+function assignedVariable(node) {
+    let current = node;
+    while (current && current.type === 'IndexAccess') {
+        current = current.base;
+    }
+    return current && current.type === 'Identifier' ? current.name : null;
+}
+
+function isCaller(node) {
+    if (!node) {
+        return false;
+    }
+    if (node.type === 'MemberAccess' && node.expression.type === 'Identifier') {
+        return (node.expression.name === 'msg' && node.memberName === 'sender') ||
+            (node.expression.name === 'tx' && node.memberName === 'origin');
+    }
+    return node.type === 'FunctionCall' &&
+        node.expression.type === 'Identifier' &&
+        node.expression.name === '_msgSender';
+}
+
+function isAddressLiteral(node) {
+    if (node.type === 'NumberLiteral' && /^0x[0-9a-f]{40}$/i.test(node.number)) {
+        return true;
+    }
+    // address(0x...)
+    return node.type === 'FunctionCall' &&
+        node.arguments.length === 1 &&
+        node.arguments[0].type === 'NumberLiteral' &&
+        /^0x[0-9a-f]{40}$/i.test(node.arguments[0].number);
+}
+
+// The other side of every `caller == x` / `caller != x` in a condition
+function callerComparisons(condition) {
+    const targets = [];
+    parser.visit(condition, {
+        BinaryOperation(node) {
+            if (node.operator !== '==' && node.operator !== '!=') {
+                return;
+            }
+            if (isCaller(node.left)) {
+                targets.push(node.right);
+            } else if (isCaller(node.right)) {
+                targets.push(node.left);
+            }
+        },
+    });
+    return targets;
+}
+
+function checksCaller(guard) {
+    if (callerComparisons(guard.condition).length > 0) {
+        return true;
+    }
+
+    // hasRole(ROLE, msg.sender), or admins[msg.sender] where the call reverts
+    // for callers missing from the mapping (not blacklists, which revert for those in it)
+    let found = false;
+    parser.visit(guard.condition, {
+        FunctionCall(node) {
+            if (node.arguments.some(isCaller) && !['balanceOf', 'allowance'].includes(calleeName(node))) {
+                found = true;
+            }
+        },
+    });
+    return found || guardReads(guard).some(read =>
+        read.kind === 'index' && isCaller(read.node.index) && read.blocksWhenSet === false
+    );
+}
+
+function calleeName(node) {
+    if (node.expression.type === 'Identifier') {
+        return node.expression.name;
+    }
+    return node.expression.type === 'MemberAccess' ? node.expression.memberName : null;
+}
+
+// from == address(0), also inside a && chain
+function comparesWithZeroAddress(condition) {
+    if (!condition || condition.type !== 'BinaryOperation') {
+        return false;
+    }
+    if (condition.operator === '&&') {
+        return comparesWithZeroAddress(condition.left) || comparesWithZeroAddress(condition.right);
+    }
+    return condition.operator === '==' && (isZeroAddress(condition.left) || isZeroAddress(condition.right));
+}
+
+function isZeroAddress(node) {
+    return node.type === 'FunctionCall'
+        && ['Identifier', 'ElementaryTypeName'].includes(node.expression.type)
+        && node.expression.name === 'address'
+        && node.arguments.length === 1
+        && node.arguments[0].type === 'NumberLiteral'
+        && Number(node.arguments[0].number) === 0;
+}
+
+function contains(outer, inner) {
+    const before = (a, b) => a.line < b.line || (a.line === b.line && a.column <= b.column);
+    return before(outer.start, inner.start) && before(inner.end, outer.end);
+}
+
+// x += y, x = x + y
+function increasesValue(node) {
+    return node.operator === '+=' ||
+        (node.operator === '=' && node.right.type === 'BinaryOperation' && node.right.operator === '+');
+}
+
+// Flattens a guard condition into the state it reads. `blocksWhenSet` says
+// whether the transfer reverts when the value is true (null for comparisons).
+function guardReads(guard) {
+    const reads = [];
+
+    const walk = (node, negated) => {
+        if (!node) {
+            return;
+        }
+        switch (node.type) {
+        case 'UnaryOperation':
+            walk(node.subExpression, node.operator === '!' && negated !== null ? !negated : null);
+            return;
+        case 'TupleExpression':
+            node.components.forEach(component => walk(component, negated));
+            return;
+        case 'BinaryOperation':
+            if (node.operator === '&&' || node.operator === '||') {
+                walk(node.left, negated);
+                walk(node.right, negated);
+            } else if ((node.operator === '==' || node.operator === '!=') && node.right.type === 'BooleanLiteral') {
+                const flips = (node.right.value === false) !== (node.operator === '!=');
+                walk(node.left, negated === null ? null : negated !== flips);
+            } else {
+                walk(node.left, null);
+                walk(node.right, null);
+            }
+            return;
+        case 'IndexAccess': {
+            const name = assignedVariable(node);
+            if (name) {
+                reads.push({ kind: 'index', name, node, negated });
+            }
+            walk(node.index, null);
+            return;
+        }
+        case 'Identifier':
+            reads.push({ kind: 'var', name: node.name, node, negated });
+            return;
+        case 'MemberAccess':
+            if (node.expression.type === 'Identifier' && node.expression.name === 'block' &&
+                ['timestamp', 'number'].includes(node.memberName)) {
+                reads.push({ kind: 'time', name: `block.${node.memberName}`, node, negated: null });
+            } else {
+                walk(node.expression, null);
+            }
+            return;
+        case 'FunctionCall':
+            if (node.expression.type === 'Identifier' && node.arguments.length === 0) {
+                reads.push({ kind: 'call', name: node.expression.name, node, negated });
+            }
+            node.arguments.forEach(argument => walk(argument, null));
+            return;
+        default:
+            return;
+        }
+    };
+
+    walk(guard.condition, false);
+
+    return reads.map(read => ({
+        ...read,
+        // require() reverts when its condition is false, `if (...) revert` when true
+        blocksWhenSet: read.negated === null ? null : guard.revertsWhen ? !read.negated : read.negated,
+    }));
+}
+
+module.exports = {
+    SourceAnalyzer,
+};
@@ -0,0 +1,101 @@
+// Tax measurement: what the buy, sell and wallet-to-wallet transfer of the
+// trade simulation sent against what arrived, plus whatever fee getters the
+// token exposes
+const { ethers } = require('ethers');
+
+// Getter names common enough in fee tokens to try on unverified contracts too
+const FEE_GETTERS = [
+    '_taxFee',
+    '_liquidityFee',
+    'taxFee',
+    'liquidityFee',
+    'buyFee',
+    'sellFee',
+    'transferFee',
+    'buyTax',
+    'sellTax',
+    'totalFees',
+    'buyTotalFees',
+    'sellTotalFees',
+    'marketingFee',
+];
+
+// Taxes from the honeypot verdict's steps: the buy against the router's quote,
+// the transfer against the amount sent, the sell against what reached the pair
+function measureTaxes(verdict) {
+    if (!verdict.buy) {
+        return unmeasured(verdict.reason || 'Taxes could not be measured');
+    }
+
+    const measurement = {
+        status: 'unknown',
+        reason: null,
+        buyTax: null,
+        sellTax: null,
+        transferTax: null,
+        buy: stepResult(verdict.buy, verdict.buy.expected, verdict.buy.received),
+        transfer: null,
+        sell: null,
+    };
+    if (verdict.status === 'buy_failed') {
+        measurement.status = 'buy_failed';
+        measurement.reason = verdict.reason;
+        return measurement;
+    }
+    measurement.buyTax = measurement.buy.taxPercent;
+
+    measurement.transfer = stepResult(verdict.transfer, verdict.transfer.expected, verdict.transfer.received);
+    measurement.transferTax = verdict.transfer.success ? measurement.transfer.taxPercent : null;
+
+    const delivered = verdict.sell.delivered !== null ? verdict.sell.delivered : '0';
+    measurement.sell = stepResult(verdict.sell, verdict.sell.sent, delivered);
+    measurement.sellTax = verdict.sell.success && verdict.sell.delivered !== null ? measurement.sell.taxPercent : null;
+
+    measurement.status = 'ok';
+    return measurement;
+}
+
+// Live values of the fee getters that answer; units differ between tokens
+// (percent, basis points, per mille), so they are reported raw
+async function readFeeGetters(provider, tokenAddress, names = []) {
+    const getters = {};
+    const candidates = [...new Set([...FEE_GETTERS, ...names])];
+
+    await Promise.all(candidates.map(async name => {
+        const contract = new ethers.Contract(tokenAddress, [`function ${name}() view returns (uint256)`], provider);
+        try {
+            getters[name] = (await contract[name]()).toString();
+        } catch {
+            // Not exposed by this token
+        }
+    }));
+    return getters;
+}
+
+// step is the verdict's, with amounts as decimal strings
+function stepResult(step, sent, received) {
+    const sentAmount = ethers.BigNumber.from(sent || 0);
+    const receivedAmount = ethers.BigNumber.from(received);
+    return {
+        success: step.success,
+        revertReason: step.revertReason,
+        sent: sentAmount.toString(),
+        received: receivedAmount.toString(),
+        taxPercent: sentAmount.isZero() ? null : sentAmount.sub(receivedAmount).mul(10000).div(sentAmount).toNumber() / 100,
+    };
+}
+
+function unmeasured(reason) {
+    return {
+        status: 'unknown',
+        reason,
+        buyTax: null,
+        sellTax: null,
+        transferTax: null,
+    };
+}
+
+module.exports = {
+    measureTaxes,
+    readFeeGetters,
+};
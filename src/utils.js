@@ -0,0 +1,16 @@
+// Small helpers shared by the analysis modules
+
+// Unset configuration is passed through as undefined, keep the defaults for those
+function withDefaults(defaults, options = {}) {
+    const settings = { ...defaults };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) {
+            settings[key] = value;
+        }
+    }
+    return settings;
+}
+
+module.exports = {
+    withDefaults,
+};
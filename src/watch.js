@@ -0,0 +1,411 @@
+// Watchlist: registered tokens are polled for events and setter calls that can
+// change their risk, re-audited when one happens, and a signed webhook is sent
+const crypto = require('crypto');
+const axios = require('axios');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const { fetchLogs } = require('./logs');
+const { diffAudits } = require('./history');
+const { withDefaults } = require('./utils');
+const SELECTOR_DATABASE = require('../data/selectors.json');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS watches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        webhook_url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_block INTEGER NOT NULL,
+        last_call_block INTEGER NOT NULL,
+        last_delivery_at INTEGER,
+        last_delivery_error TEXT,
+        audit_failures INTEGER NOT NULL DEFAULT 0,
+        last_audit_error TEXT,
+        UNIQUE (chain, token_address, webhook_url)
+    );
+`;
+
+// Events worth a new audit, with the checks each one can change
+const WATCHED_EVENTS = [
+    { signature: 'OwnershipTransferred(address,address)', checks: ['ownershipRenounced', 'hiddenOwner', 'privilegedRoles'] },
+    { signature: 'Paused(address)', checks: ['transferPausable', 'honeypot'] },
+    { signature: 'Unpaused(address)', checks: ['transferPausable', 'honeypot'] },
+    // EIP-1967: a new implementation can change anything
+    { signature: 'Upgraded(address)', checks: null },
+    { signature: 'AdminChanged(address,address)', checks: ['proxyContract'] },
+    { signature: 'RoleGranted(bytes32,address,address)', checks: ['privilegedRoles'] },
+    { signature: 'RoleRevoked(bytes32,address,address)', checks: ['privilegedRoles'] },
+].map(event => ({ ...event, name: event.signature.split('(')[0], topic: ethers.utils.id(event.signature) }));
+
+// Setter calls by selector category; many tokens change these without an event
+const WATCHED_CALLS = {
+    fee: ['highTax', 'taxModifiable', 'honeypot'],
+    blacklist: ['hasBlacklist', 'honeypot'],
+    // Max-tx and max-wallet setters, removeLimits() included
+    maxTx: ['sellLimitTooLow', 'hasSuspiciousFunctions', 'honeypot'],
+    tradingSwitch: ['tradingSwitchable', 'honeypot'],
+};
+
+const DEFAULT_OPTIONS = {
+    intervalMs: 30000,
+    // Blocks scanned per token and poll; a watch further behind catches up over several polls
+    maxBlocksPerPoll: 500,
+    deliveryAttempts: 3,
+    deliveryTimeoutMs: 10000,
+    // Polls in a row a range's re-audit may fail before the watch moves past it
+    maxAuditFailures: 3,
+    // Setter calls take every block with its transactions, so a chain's blocks
+    // are scanned for them at most this often and events alone in between
+    callScanIntervalMs: 300000,
+};
+
+class WatchList {
+    constructor(path) {
+        this.db = new Database(path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+    }
+
+    // Watching starts after the given block; registering the same webhook again
+    // only issues a new secret, which is returned here and nowhere else
+    add(chain, tokenAddress, webhookUrl, startBlock) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        this.db.prepare(`
+            INSERT INTO watches (chain, token_address, webhook_url, secret, created_at, last_block, last_call_block)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (chain, token_address, webhook_url) DO UPDATE SET secret = excluded.secret
+        `).run(chain, tokenAddress.toLowerCase(), webhookUrl, secret, Date.now(), startBlock, startBlock);
+        return { ...this.find(chain, tokenAddress, webhookUrl), secret };
+    }
+
+    find(chain, tokenAddress, webhookUrl) {
+        const row = this.db.prepare('SELECT * FROM watches WHERE chain = ? AND token_address = ? AND webhook_url = ?')
+            .get(chain, tokenAddress.toLowerCase(), webhookUrl);
+        return row ? toWatch(row) : null;
+    }
+
+    list(filter = {}) {
+        const rows = this.db.prepare(`
+            SELECT * FROM watches
+            WHERE (@chain IS NULL OR chain = @chain) AND (@tokenAddress IS NULL OR token_address = @tokenAddress)
+            ORDER BY id
+        `).all({
+            chain: filter.chain || null,
+            tokenAddress: filter.tokenAddress ? filter.tokenAddress.toLowerCase() : null,
+        });
+        return rows.map(toWatch);
+    }
+
+    remove(id) {
+        return this.db.prepare('DELETE FROM watches WHERE id = ?').run(id).changes > 0;
+    }
+
+    secretOf(id) {
+        const row = this.db.prepare('SELECT secret FROM watches WHERE id = ?').get(id);
+        return row ? row.secret : null;
+    }
+
+    // callBlock is null when the setter calls were not scanned this time
+    advance(id, block, callBlock) {
+        this.db.prepare('UPDATE watches SET last_block = ?, last_call_block = COALESCE(?, last_call_block), audit_failures = 0 WHERE id = ?')
+            .run(block, callBlock, id);
+    }
+
+    // The failures in a row so far, this one included
+    recordAuditFailure(id, error) {
+        this.db.prepare('UPDATE watches SET audit_failures = audit_failures + 1, last_audit_error = ? WHERE id = ?')
+            .run(error, id);
+        return this.db.prepare('SELECT audit_failures FROM watches WHERE id = ?').get(id).audit_failures;
+    }
+
+    recordDelivery(id, error) {
+        this.db.prepare('UPDATE watches SET last_delivery_at = ?, last_delivery_error = ? WHERE id = ?')
+            .run(Date.now(), error || null, id);
+    }
+}
+
+function toWatch(row) {
+    return {
+        id: row.id,
+        chain: row.chain,
+        tokenAddress: row.token_address,
+        webhookUrl: row.webhook_url,
+        createdAt: new Date(row.created_at).toISOString(),
+        lastBlock: row.last_block,
+        lastCallBlock: row.last_call_block,
+        lastDeliveryAt: row.last_delivery_at ? new Date(row.last_delivery_at).toISOString() : null,
+        lastDeliveryError: row.last_delivery_error,
+        auditFailures: row.audit_failures,
+        lastAuditError: row.last_audit_error,
+    };
+}
+
+// Polls every chain with watches. context supplies the chain registry, providers,
+// the audit history and audit(chain, tokenAddress), which runs and stores a fresh audit
+class Watcher {
+    constructor(watchList, context, options = {}) {
+        this.watchList = watchList;
+        this.context = context;
+        this.settings = withDefaults(DEFAULT_OPTIONS, options);
+        this.timer = null;
+        // When each chain's blocks were last scanned for setter calls
+        this.callScans = new Map();
+    }
+
+    start() {
+        const schedule = () => {
+            this.timer = setTimeout(async () => {
+                await this.poll();
+                schedule();
+            }, this.settings.intervalMs);
+            this.timer.unref();
+        };
+        schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+    }
+
+    async poll() {
+        const byChain = new Map();
+        for (const watch of this.watchList.list()) {
+            if (!byChain.has(watch.chain)) {
+                byChain.set(watch.chain, []);
+            }
+            byChain.get(watch.chain).push(watch);
+        }
+
+        for (const [chainId, watches] of byChain.entries()) {
+            const chain = this.context.chains[chainId];
+            if (!chain) {
+                continue;
+            }
+            try {
+                await this.pollChain(chain, watches);
+            } catch (error) {
+                console.error(`Error polling watches on ${chainId}:`, error);
+            }
+        }
+    }
+
+    async pollChain(chain, watches) {
+        const provider = this.context.getProvider(chain);
+        const head = await provider.getBlockNumber();
+        const blocks = new Map();
+        const scanCalls = Date.now() - (this.callScans.get(chain.id) || 0) >= this.settings.callScanIntervalMs;
+        if (scanCalls) {
+            this.callScans.set(chain.id, Date.now());
+        }
+
+        // Tokens watched by several webhooks are scanned and audited once per range
+        const groups = new Map();
+        for (const watch of watches) {
+            const range = this.nextRange(watch.lastBlock, head);
+            const callRange = scanCalls ? this.nextRange(watch.lastCallBlock, head) : null;
+            if (!range && !callRange) {
+                continue;
+            }
+            const key = `${watch.tokenAddress}:${JSON.stringify([range, callRange])}`;
+            if (!groups.has(key)) {
+                groups.set(key, { tokenAddress: watch.tokenAddress, range, callRange, watches: [] });
+            }
+            groups.get(key).watches.push(watch);
+        }
+
+        for (const group of groups.values()) {
+            let triggers;
+            try {
+                triggers = [
+                    ...group.range ? await findEvents(provider, group.tokenAddress, group.range.fromBlock, group.range.toBlock) : [],
+                    ...group.callRange ? await findSetterCalls(provider, blocks, group.tokenAddress, group.callRange.fromBlock, group.callRange.toBlock) : [],
+                ].sort((a, b) => a.blockNumber - b.blockNumber);
+            } catch (error) {
+                // The range is left unprocessed and retried on the next poll
+                console.error(`Error checking watched token ${group.tokenAddress}:`, error);
+                continue;
+            }
+
+            if (triggers.length > 0) {
+                try {
+                    await this.handleChange(chain, group, triggers);
+                } catch (error) {
+                    console.error(`Error re-auditing watched token ${group.tokenAddress}:`, error);
+                    if (!await this.handleAuditFailure(chain, group, triggers, error)) {
+                        continue;
+                    }
+                }
+            }
+            for (const watch of group.watches) {
+                this.watchList.advance(
+                    watch.id,
+                    group.range ? group.range.toBlock : watch.lastBlock,
+                    group.callRange ? group.callRange.toBlock : null
+                );
+            }
+        }
+    }
+
+    // The blocks after lastBlock to scan this poll, or null when there are none
+    nextRange(lastBlock, head) {
+        const fromBlock = lastBlock + 1;
+        if (fromBlock > head) {
+            return null;
+        }
+        return { fromBlock, toBlock: Math.min(head, fromBlock + this.settings.maxBlocksPerPoll - 1) };
+    }
+
+    // The range is retried on the next poll until it has failed
+    // maxAuditFailures times; then each webhook is told the audit failed and
+    // true is returned so the watches move on
+    async handleAuditFailure(chain, group, triggers, error) {
+        const failures = Math.max(...group.watches.map(watch => this.watchList.recordAuditFailure(watch.id, error.message)));
+        if (failures < this.settings.maxAuditFailures) {
+            return false;
+        }
+
+        for (const watch of group.watches) {
+            const payload = {
+                type: 'token.audit_failed',
+                watch: { id: watch.id, chain: chain.id, tokenAddress: group.tokenAddress },
+                blockRange: group.range,
+                callBlockRange: group.callRange,
+                triggers,
+                error: error.message,
+                failures,
+                sentAt: new Date().toISOString(),
+            };
+            const deliveryError = await this.deliver(watch, payload);
+            this.watchList.recordDelivery(watch.id, deliveryError);
+        }
+        return true;
+    }
+
+    // The audit runs every check rather than only the affected ones: audits
+    // limited to some checks are not stored, and the webhook's before/after
+    // values and diff are read from the stored history
+    async handleChange(chain, group, triggers) {
+        const previous = this.context.history.latest(chain.id, group.tokenAddress);
+        const audit = await this.context.audit(chain, group.tokenAddress);
+        if (audit.error || audit.result.error) {
+            throw new Error(audit.error || audit.result.error);
+        }
+        const current = this.context.history.get(audit.result.audit.id);
+
+        const affectedChecks = triggers.some(trigger => trigger.checks === null)
+            ? Object.keys(current.result.securityChecks)
+            : [...new Set(triggers.flatMap(trigger => trigger.checks))];
+        const checks = {};
+        for (const check of affectedChecks) {
+            checks[check] = {
+                before: previous ? previous.result.securityChecks[check] : null,
+                after: current.result.securityChecks[check],
+            };
+        }
+
+        for (const watch of group.watches) {
+            const payload = {
+                type: 'token.changed',
+                watch: { id: watch.id, chain: chain.id, tokenAddress: group.tokenAddress },
+                blockRange: group.range,
+                callBlockRange: group.callRange,
+                triggers,
+                affectedChecks,
+                checks,
+                audit: { id: current.id, score: current.score, grade: current.grade },
+                previousAudit: previous ? { id: previous.id, score: previous.score, grade: previous.grade } : null,
+                diff: previous ? diffAudits(previous, current) : null,
+                sentAt: new Date().toISOString(),
+            };
+            const error = await this.deliver(watch, payload);
+            this.watchList.recordDelivery(watch.id, error);
+        }
+    }
+
+    // The error message of the last attempt, or null once delivered
+    async deliver(watch, payload) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Watch-Id': String(watch.id),
+            'X-Signature-256': `sha256=${signPayload(this.watchList.secretOf(watch.id), body)}`,
+        };
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.settings.deliveryAttempts; attempt++) {
+            try {
+                await axios.post(watch.webhookUrl, body, { headers, timeout: this.settings.deliveryTimeoutMs });
+                return null;
+            } catch (error) {
+                lastError = error.message;
+                console.error(`Error delivering webhook for watch ${watch.id} (attempt ${attempt}):`, error.message);
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            }
+        }
+        return lastError;
+    }
+}
+
+async function findEvents(provider, tokenAddress, fromBlock, toBlock) {
+    const logs = await fetchLogs(
+        provider,
+        { address: tokenAddress, topics: [WATCHED_EVENTS.map(event => event.topic)] },
+        fromBlock,
+        toBlock
+    );
+    return logs.map(log => {
+        const event = WATCHED_EVENTS.find(entry => entry.topic === log.topics[0]);
+        return {
+            type: 'event',
+            name: event.name,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            checks: event.checks,
+        };
+    });
+}
+
+// Successful transactions straight to the token whose selector is a known
+// setter; calls routed through a multisig or another contract are not seen here
+async function findSetterCalls(provider, blocks, tokenAddress, fromBlock, toBlock) {
+    const calls = [];
+    for (let number = fromBlock; number <= toBlock; number++) {
+        if (!blocks.has(number)) {
+            blocks.set(number, await provider.getBlockWithTransactions(number));
+        }
+        for (const tx of blocks.get(number).transactions) {
+            if (!tx.to || tx.to.toLowerCase() !== tokenAddress.toLowerCase()) {
+                continue;
+            }
+            const entry = SELECTOR_DATABASE[tx.data.slice(0, 10).toLowerCase()];
+            if (!entry || !WATCHED_CALLS[entry.category]) {
+                continue;
+            }
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (receipt.status !== 1) {
+                continue;
+            }
+            calls.push({
+                type: 'call',
+                name: entry.signature,
+                blockNumber: number,
+                transactionHash: tx.hash,
+                checks: WATCHED_CALLS[entry.category],
+            });
+        }
+    }
+    return calls;
+}
+
+// Hex HMAC-SHA256 of the raw body; receivers recompute it with their secret
+function signPayload(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+module.exports = {
+    WatchList,
+    Watcher,
+    signPayload,
+};